@@ -15,7 +15,7 @@ export async function handle({ event, resolve }) {
     if (!origin || allowedOrigins.includes(origin)) {
       response.headers.set('Access-Control-Allow-Origin', origin || '*');
       response.headers.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key');
+      response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key, Idempotency-Key');
       response.headers.set('Access-Control-Expose-Headers', 'Content-Disposition');
       response.headers.set('Access-Control-Allow-Credentials', 'true');
       response.headers.set('Access-Control-Max-Age', '3600');
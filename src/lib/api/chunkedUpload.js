@@ -0,0 +1,252 @@
+// src/lib/api/chunkedUpload.js
+
+import { CONFIG } from '../config';
+import { ConversionError } from './errors.js';
+import { ENDPOINTS } from './endpoints.js';
+import { RequestHandler } from './requestHandler.js';
+
+const UPLOAD_CONFIG = CONFIG.CONVERSION.CHUNKED_UPLOAD;
+
+/**
+ * Persists upload sessions so an interrupted upload can resume after a page refresh.
+ * Sessions are keyed by file identity, so re-adding the same file picks up where it stopped.
+ */
+const SessionStorage = {
+  _read() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+      return JSON.parse(localStorage.getItem(CONFIG.STORAGE.UPLOAD_SESSIONS)) || {};
+    } catch {
+      return {};
+    }
+  },
+
+  _write(sessions) {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(CONFIG.STORAGE.UPLOAD_SESSIONS, JSON.stringify(sessions));
+    } catch (error) {
+      console.warn('Unable to persist upload session:', error);
+    }
+  },
+
+  get(key) {
+    const session = this._read()[key];
+    if (!session) return null;
+
+    // Expired sessions are no longer held by the server
+    if (Date.now() - session.createdAt > UPLOAD_CONFIG.SESSION_TTL) {
+      this.remove(key);
+      return null;
+    }
+    return session;
+  },
+
+  set(key, session) {
+    this._write({ ...this._read(), [key]: session });
+  },
+
+  remove(key) {
+    const sessions = this._read();
+    delete sessions[key];
+    this._write(sessions);
+  }
+};
+
+/**
+ * Uploads large files in resumable chunks and finalizes them into a conversion job
+ */
+export class ChunkedUploader {
+  /**
+   * Whether a file should use the chunked upload path
+   * @public
+   */
+  static shouldChunk(file) {
+    return file instanceof Blob && file.size > CONFIG.CONVERSION.FILE_SIZE_LIMIT;
+  }
+
+  /**
+   * Builds a stable key identifying a file across page loads
+   * @private
+   */
+  static _getSessionKey(file) {
+    return [file.name, file.size, file.lastModified].join(':');
+  }
+
+  /**
+   * Creates headers for upload requests
+   * @private
+   */
+  static _createHeaders(apiKey) {
+    return {
+      'Accept': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+    };
+  }
+
+  /**
+   * Resolves a stored session against the server, or starts a new one
+   * @private
+   */
+  static async _getSession(file, target, apiKey, options, signal) {
+    const key = this._getSessionKey(file);
+    const stored = SessionStorage.get(key);
+
+    if (stored) {
+      try {
+        const status = await RequestHandler.makeRequest(
+          `${ENDPOINTS.UPLOAD_STATUS}/${stored.uploadId}`,
+          { method: 'GET', headers: this._createHeaders(apiKey), signal }
+        );
+        const received = status.receivedChunks || status.uploadedChunks || [];
+        console.log(`♻️ Resuming upload ${stored.uploadId}: ${received.length}/${stored.totalChunks} chunks on server`);
+        return { ...stored, uploadedChunks: received };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('⚠️ Stored upload session is no longer valid, starting over:', error.message);
+        SessionStorage.remove(key);
+      }
+    }
+
+    const chunkSize = UPLOAD_CONFIG.CHUNK_SIZE;
+    const totalChunks = Math.ceil(file.size / chunkSize);
+    const response = await RequestHandler.makeRequest(ENDPOINTS.UPLOAD_INIT, {
+      method: 'POST',
+      headers: this._createHeaders(apiKey),
+      signal,
+      body: JSON.stringify({
+        filename: file.name,
+        fileSize: file.size,
+        mimeType: file.type,
+        chunkSize,
+        totalChunks,
+        target,
+        options
+      })
+    });
+
+    if (!response?.uploadId) {
+      throw new ConversionError('No upload ID received from server', 'MISSING_UPLOAD_ID', { response });
+    }
+
+    const session = {
+      uploadId: response.uploadId,
+      chunkSize,
+      totalChunks,
+      uploadedChunks: [],
+      createdAt: Date.now()
+    };
+    SessionStorage.set(key, session);
+    return session;
+  }
+
+  /**
+   * Uploads a single chunk. Transient failures are retried by RequestHandler alone,
+   * with MAX_CHUNK_RETRIES in place of the default count.
+   * @private
+   */
+  static async _uploadChunk(file, session, index, apiKey, { onRetry, signal } = {}) {
+    const start = index * session.chunkSize;
+    const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+
+    const formData = new FormData();
+    formData.append('file', chunk, file.name);
+    formData.append('index', String(index));
+    formData.append('totalChunks', String(session.totalChunks));
+
+    try {
+      return await RequestHandler.makeRequest(
+        `${ENDPOINTS.UPLOAD_CHUNK}/${session.uploadId}`,
+        {
+          method: 'POST',
+          headers: this._createHeaders(apiKey),
+          body: formData,
+          retries: UPLOAD_CONFIG.MAX_CHUNK_RETRIES,
+          // Stable per chunk, so a part resent after a lost response is stored once
+          idempotencyKey: `${session.uploadId}:${index}`,
+          onRetry,
+          signal
+        }
+      );
+    } catch (error) {
+      // Cancellation is not an upload failure
+      if (signal?.aborted) throw error;
+      throw new ConversionError(
+        `Failed to upload part ${index + 1} of ${file.name}`,
+        'CHUNK_UPLOAD_ERROR',
+        { index, uploadId: session.uploadId, originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * Uploads a file in chunks and returns the server response of the completed upload
+   * @public
+   * @param {File} file - The file to upload
+   * @param {Object} params
+   * @param {string} params.target - Conversion type the upload is finalized into (file, audio, video)
+   * @param {string} [params.apiKey] - API key for authorization
+   * @param {Object} [params.options] - Conversion options sent with the upload
+   * @param {Function} [params.onProgress] - Called after each chunk with upload progress details
+   * @param {Function} [params.onRetry] - Called before a request of the upload is retried
+   * @param {AbortSignal} [params.signal] - Aborts the upload
+   * @returns {Promise<Object>} Response of the completion request, containing the jobId
+   */
+  static async upload(file, { target, apiKey, options = {}, onProgress, onRetry, signal } = {}) {
+    if (file.size > UPLOAD_CONFIG.MAX_FILE_SIZE) {
+      throw ConversionError.validation(
+        `File size exceeds limit of ${UPLOAD_CONFIG.MAX_FILE_SIZE / (1024 * 1024)}MB`
+      );
+    }
+
+    const key = this._getSessionKey(file);
+    const session = await this._getSession(file, target, apiKey, options, signal);
+    const uploaded = new Set(session.uploadedChunks);
+
+    const reportProgress = (chunkIndex) => {
+      onProgress?.({
+        chunkIndex,
+        uploadedChunks: uploaded.size,
+        totalChunks: session.totalChunks,
+        progress: Math.round((uploaded.size / session.totalChunks) * 100)
+      });
+    };
+
+    reportProgress(null);
+
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (uploaded.has(index)) continue;
+
+      signal?.throwIfAborted();
+      await this._uploadChunk(file, session, index, apiKey, { onRetry, signal });
+      uploaded.add(index);
+      SessionStorage.set(key, { ...session, uploadedChunks: [...uploaded] });
+      reportProgress(index);
+    }
+
+    const response = await RequestHandler.makeRequest(
+      `${ENDPOINTS.UPLOAD_COMPLETE}/${session.uploadId}`,
+      {
+        method: 'POST',
+        headers: this._createHeaders(apiKey),
+        idempotencyKey: `${session.uploadId}:complete`,
+        onRetry,
+        signal,
+        body: JSON.stringify({
+          target,
+          options: {
+            ...options,
+            filename: file.name,
+            fileType: file.type
+          }
+        })
+      }
+    );
+
+    SessionStorage.remove(key);
+    console.log(`✅ Chunked upload ${session.uploadId} finalized`);
+    return response;
+  }
+}
+
+export const uploadInChunks = ChunkedUploader.upload.bind(ChunkedUploader);
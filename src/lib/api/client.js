@@ -7,6 +7,10 @@ import { conversionStatus } from '../stores/conversionStatus.js';
 import { FileStatus } from '../stores/files.js';
 import { ENDPOINTS, getEndpointUrl } from './endpoints.js';
 import { makeRequest } from './requestHandler.js';
+import { ChunkedUploader } from './chunkedUpload.js';
+import { getFileTypeInfo, isSupportedFileType } from '../utils/fileTypes.js';
+import { canonicalizeUrl } from '../utils/urlUtils.js';
+import conversionQueue from '../services/conversionQueue.js';
 
 /**
  * Manages file conversion operations and tracks their status
@@ -26,85 +30,44 @@ class ConversionClient {
    */
   _normalizeUrl(url) {
     try {
-      const urlObj = new URL(url);
-      const normalizedPath = urlObj.pathname.replace(/\/+$/, '').toLowerCase();
-      urlObj.pathname = normalizedPath;
-      return urlObj.href.toLowerCase();
+      return canonicalizeUrl(url);
     } catch (error) {
       console.error('URL normalization error:', error);
-      return url.toLowerCase();
+      return url;
     }
   }
 
-  _validateAndNormalizeItem(item) {
-    if (!item?.type) {
-      throw ConversionError.validation('Invalid item: missing type');
-    }
-  
-    const type = item.type.toLowerCase();
-  
-    if (!this.supportedTypes.includes(type)) {
-      throw ConversionError.validation(`Unsupported type: ${type}`);
-    }
+  /**
+   * Merges item options over the default conversion options.
+   * Crawl limits are only kept for parent URLs, transcript options for
+   * YouTube videos. The Map-of-Content layout is applied in the browser
+   * and never sent. Credentials from a profile travel as `auth`.
+   * @private
+   */
+  _buildOptions(type, options = {}, auth = null) {
+    const { depth, ...rest } = options;
+    const merged = {
+      ...this.config.CONVERSION.DEFAULT_OPTIONS,
+      ...(depth !== undefined && { maxDepth: depth }),
+      ...rest
+    };
+    delete merged.mocLayout;
 
-    // Special validation for parent URL
-    if (type === 'parent' && !item.url) {
-      throw ConversionError.validation('Parent URL is required');
+    if (type !== 'parent') {
+      this.config.CONVERSION.CRAWL_OPTIONS.forEach(key => delete merged[key]);
     }
-
-    // Normalize URLs if present
-    const normalizedUrl = item.url ? this._normalizeUrl(item.url) : null;
-    const normalizedContent = item.content && typeof item.content === 'string' ? 
-      this._normalizeUrl(item.content) : item.content;
-
-    // File validation for audio/video/document types
-    if (item.file instanceof File) {
-      const fileType = item.file.name.split('.').pop().toLowerCase();
-      const determinedType = this.getItemType(item);
-      
-      // Validate file size
-      if (item.file.size > this.config.CONVERSION.FILE_SIZE_LIMIT) {
-        throw ConversionError.validation(
-          `File size exceeds limit of ${this.config.CONVERSION.FILE_SIZE_LIMIT / (1024 * 1024)}MB`
-        );
-      }
-
-      // Validate file type
-      if (!this.isSupportedFileType(fileType)) {
-        throw ConversionError.validation(`Unsupported file type: ${fileType}`);
-      }
+    if (type !== 'youtube') {
+      this.config.CONVERSION.YOUTUBE_OPTIONS.forEach(key => delete merged[key]);
+    }
+    if (auth) {
+      merged.auth = auth;
     }
 
-    // Normalize the item's properties
-    return {
-      id: item.id || this._generateId(),
-      type,
-      name: item.name?.trim() || 'Untitled',
-      url: normalizedUrl,
-      content: normalizedContent,
-      file: item.file,  // Preserve the file object
-      options: {
-        includeImages: true,
-        includeMeta: true,
-        convertLinks: true,
-        ...(type === 'parent' && {
-          depth: item.options?.depth || 1,
-          maxPages: item.options?.maxPages || 10
-        }),
-        ...item.options
-      }
-    };
+    return merged;
   }
 
   isSupportedFileType(extension) {
-    if (!extension) return false;
-    const categories = this.config.FILES.CATEGORIES;
-    return (
-      categories.documents.includes(extension) ||
-      categories.audio.includes(extension) ||
-      categories.video.includes(extension) ||
-      categories.data.includes(extension)
-    );
+    return Boolean(extension) && isSupportedFileType(extension);
   }
 
   /**
@@ -129,7 +92,10 @@ class ConversionClient {
   }
 
   /**
-   * Process multiple items for conversion
+   * Process multiple items for conversion.
+   * Items are submitted through the conversion queue, so only
+   * CONFIG.QUEUE.CONCURRENCY uploads run at once. A failing item does not
+   * stop the others; the batch only rejects when no item could be submitted.
    * @public
    */
   async processItems(items, apiKey, options = {}) {
@@ -137,128 +103,382 @@ class ConversionClient {
       throw new ConversionError('No items provided for processing');
     }
 
-    const { useBatch = false, onProgress, onItemComplete } = options;
+    const { useBatch = false, onItemComplete, onItemSubmitted, onUploadProgress, onItemRetry } = options;
 
     try {
-      // Import socket service
-      const socketService = (await import('../services/socket.js')).default;
-      
-      // Ensure socket is connected
-      if (!socketService.connected) {
-        socketService.connect();
+      if (useBatch) {
+        return this.processBatch(items, apiKey, { onItemComplete, onItemSubmitted, onUploadProgress, onItemRetry });
       }
 
-      if (useBatch) {
-        return this.processBatch(items, apiKey, { onProgress, onItemComplete });
+      const settled = await Promise.allSettled(items.map(item =>
+        conversionQueue.enqueue(item.id, async () => {
+          try {
+            const result = await this._submitItem(item, apiKey, { onUploadProgress, onItemRetry });
+            onItemSubmitted?.(result);
+            return result;
+          } catch (error) {
+            // A cancelled item should not fail the rest of the batch
+            if (error.name !== 'AbortError') {
+              onItemComplete?.(item.id, false, error);
+            }
+            throw error;
+          }
+        }, { priority: item.priority || 0 })
+      ));
+
+      const results = settled
+        .filter(outcome => outcome.status === 'fulfilled')
+        .map(outcome => outcome.value);
+      const failure = settled.find(outcome =>
+        outcome.status === 'rejected' && outcome.reason?.name !== 'AbortError');
+
+      if (results.length === 0 && failure) {
+        throw failure.reason;
       }
+      return results;
+    } catch (error) {
+      console.error('Upload failed:', error);
+      throw error instanceof ConversionError ? error : new ConversionError(error.message);
+    }
+  }
+
+  /**
+   * Converts several items through the batch endpoint.
+   * Items are sent in sub-batches of CONFIG.CONVERSION.BATCH_SIZE_LIMIT, each
+   * taking one slot in the conversion queue. Files large enough for chunked
+   * uploads cannot travel in a multipart batch and are submitted on their own.
+   * @public
+   * @returns {Promise<Array<{jobId: string, item: Object}>>}
+   */
+  async processBatch(items, apiKey, options = {}) {
+    const { onItemComplete, onItemSubmitted, onUploadProgress, onItemRetry } = options;
+
+    const single = items.filter(item => item.file instanceof File && ChunkedUploader.shouldChunk(item.file));
+    const batchable = items.filter(item => !single.includes(item));
 
-      const results = await Promise.all(items.map(async (item) => {
+    const batches = [];
+    for (let i = 0; i < batchable.length; i += CONFIG.CONVERSION.BATCH_SIZE_LIMIT) {
+      batches.push(batchable.slice(i, i + CONFIG.CONVERSION.BATCH_SIZE_LIMIT));
+    }
+    console.log(`📦 Processing ${batchable.length} items in ${batches.length} batch(es), ${single.length} on their own`);
+
+    const runs = batches.map((batch, index) =>
+      conversionQueue.enqueue(`batch:${batch[0].id}`, async () => {
         try {
-          const endpoint = this.getDefaultEndpoint(item);
-          let requestData;
-
-          // Prepare request data based on item type
-          if (item.type === 'url' || item.type === 'youtube') {
-            requestData = {
-              url: item.url || item.content,
-              name: item.name || 'url-conversion',
-              options: item.options || {},
-              type: item.type
-            };
-          } else if (item.type === 'parent') {
-            requestData = {
-              parenturl: item.url || item.content,
-              options: {
-                includeImages: true,
-                includeMeta: true,
-                maxDepth: item.options?.maxDepth || 3,
-                maxPages: item.options?.maxPages || 100,
-                ...item.options
-              }
-            };
-          } else if (item.file instanceof File) {
-            if (!item.file) {
-              throw new ConversionError('File data is missing');
-            }
+          const results = await this._submitBatch(batch, apiKey, { onUploadProgress, onItemRetry, index });
+          results.forEach(result => onItemSubmitted?.(result));
+          return results;
+        } catch (error) {
+          const reason = error.name === 'AbortError'
+            ? new Error('Cancelled together with another item of its batch')
+            : error;
+          batch.forEach(item => onItemComplete?.(item.id, false, reason));
+          throw error;
+        }
+      }, { priority: Math.max(...batch.map(item => item.priority || 0)) })
+    );
 
-            if (item.file.size > this.config.CONVERSION.FILE_SIZE_LIMIT) {
-              throw new ConversionError(
-                `File size exceeds limit of ${this.config.CONVERSION.FILE_SIZE_LIMIT / (1024 * 1024)}MB`,
-                'VALIDATION_ERROR'
-              );
-            }
+    if (single.length > 0) {
+      runs.push(this.processItems(single, apiKey, { ...options, useBatch: false }));
+    }
 
-            const formData = new FormData();
-            formData.append('file', item.file);
-            formData.append('options', JSON.stringify({
-              ...item.options,
-              filename: item.file.name,
-              fileType: item.file.type
-            }));
-            requestData = formData;
-          } else {
-            throw new ConversionError('Invalid item format - must provide either a URL or file');
-          }
+    const settled = await Promise.allSettled(runs);
+    const results = settled
+      .filter(outcome => outcome.status === 'fulfilled')
+      .flatMap(outcome => outcome.value);
+    const failure = settled.find(outcome =>
+      outcome.status === 'rejected' && outcome.reason?.name !== 'AbortError');
 
-          // Make initial request to get job ID
-          const response = await this.makeRequest(endpoint, {
-            method: 'POST',
-            headers: {
-              ...(!(requestData instanceof FormData) && { 'Content-Type': 'application/json' }),
-              'Accept': 'application/json',
-              ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
-            },
-            body: requestData instanceof FormData ? requestData : JSON.stringify(requestData)
-          });
-
-          // Log the full response for debugging
-          console.log('📦 Server response:', JSON.stringify(response, null, 2));
-          
-          // Extract job ID from response
-          const jobId = response.jobId || response.id || response.job?.id;
+    if (results.length === 0 && failure) {
+      throw failure.reason;
+    }
+    return results;
+  }
+
+  /**
+   * Sends one sub-batch and maps the server's jobs back onto its items.
+   * The server answers either with one job per item (`jobs`) or with a
+   * single job for the whole batch, in which case the items are grouped
+   * under one entry whose `members` lists them.
+   * @private
+   */
+  async _submitBatch(batch, apiKey, { onUploadProgress, onItemRetry, index }) {
+    // Cancelling any item of a batch aborts the request for the whole batch
+    const controller = new AbortController();
+    batch.forEach(item => this.activeRequests.set(item.id, controller));
+    const reportUpload = (progress) =>
+      batch.forEach(item => onUploadProgress?.(item.id, { progress }));
+
+    try {
+      reportUpload(0);
+      const response = await Converters.convertBatch(
+        batch.map(({ auth, ...item }) => ({ ...item, options: this._buildOptions(item.type, item.options, auth) })),
+        apiKey,
+        {
+          signal: controller.signal,
+          onRetry: (retry) => batch.forEach(item => onItemRetry?.(item.id, retry))
+        }
+      );
+      reportUpload(100);
+      console.log(`📦 Batch ${index + 1} response:`, response);
+
+      if (Array.isArray(response.jobs)) {
+        return batch.map((item, position) => {
+          const job = response.jobs.find(j => j.id === item.id || j.itemId === item.id) ||
+            response.jobs[position];
+          const jobId = job?.jobId || job?.id;
           if (!jobId) {
-            console.error('❌ No job ID found in response:', response);
-            throw new ConversionError('No job ID received from server', 'MISSING_JOB_ID', { response });
+            throw new ConversionError(`No job ID received for ${item.name}`, 'MISSING_JOB_ID', { response });
           }
-          
-          console.log('✅ Job ID extracted:', jobId);
-
-          // Update item with job ID
           item.jobId = jobId;
+          return { jobId, item };
+        });
+      }
 
-          // Subscribe to job updates
-          socketService.subscribeToJob(jobId, {
-            onStatus: (data) => {
-              console.log(`🔄 Job ${jobId} status:`, data);
-            },
-            onProgress: (data) => {
-              console.log(`📈 Job ${jobId} progress:`, data);
-              onProgress?.(data.progress);
-            },
-            onComplete: (data) => {
-              console.log(`✅ Job ${jobId} complete:`, data);
-              onItemComplete?.(item.id, true);
-            },
-            onError: (error) => {
-              console.error(`❌ Job ${jobId} error:`, error);
-              onItemComplete?.(item.id, false, error);
-            }
-          });
+      const jobId = response.jobId || response.id || response.job?.id;
+      if (!jobId) {
+        throw new ConversionError('No job ID received from server', 'MISSING_JOB_ID', { response });
+      }
+      batch.forEach(item => { item.jobId = jobId; });
+
+      const group = batch.length === 1 ? batch[0] : {
+        id: batch[0].id,
+        name: `Batch of ${batch.length} items`,
+        type: 'batch',
+        options: {},
+        members: batch
+      };
+      return [{ jobId, item: group }];
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`🛑 Batch ${index + 1} cancelled`);
+        throw new DOMException('Batch cancelled', 'AbortError');
+      }
+      batch.forEach(item => this.releaseItem(item.id));
+      throw error;
+    }
+  }
 
-          return { jobId, item };
-        } catch (error) {
-          onItemComplete?.(item.id, false, error);
-          throw error;
+  /**
+   * Uploads a single item and starts its conversion job
+   * @private
+   * @returns {Promise<{jobId: string, item: Object}>}
+   */
+  async _submitItem(item, apiKey, { onUploadProgress, onItemRetry } = {}) {
+    const { signal } = this._createController(item.id);
+    try {
+      const endpoint = this.getDefaultEndpoint(item);
+      const onRetry = (retry) => onItemRetry?.(item.id, retry);
+      let requestData;
+      let response;
+
+      // Prepare request data based on item type
+      if (item.file instanceof File && ChunkedUploader.shouldChunk(item.file)) {
+        // Large files go through the resumable chunked upload path
+        response = await ChunkedUploader.upload(item.file, {
+          target: this.getItemType(item),
+          apiKey,
+          options: this._buildOptions(item.type, item.options),
+          onProgress: (progress) => onUploadProgress?.(item.id, progress),
+          onRetry,
+          signal
+        });
+      } else if (item.type === 'url' || item.type === 'youtube') {
+        requestData = {
+          url: item.url || item.content,
+          name: item.name || 'url-conversion',
+          ...(item.tags?.length && { tags: item.tags }),
+          options: this._buildOptions(item.type, item.options, item.auth),
+          type: item.type
+        };
+      } else if (item.type === 'parent') {
+        requestData = {
+          parenturl: item.url || item.content,
+          // Pages picked in the crawl preview, the server crawls freely without them
+          ...(item.urls?.length && { urls: item.urls }),
+          options: this._buildOptions('parent', item.options, item.auth)
+        };
+      } else if (item.file instanceof File) {
+        if (!item.file) {
+          throw new ConversionError('File data is missing');
         }
-      }));
 
-      return results;
+        const formData = new FormData();
+        formData.append('file', item.file);
+        formData.append('options', JSON.stringify({
+          ...this._buildOptions(item.type, item.options),
+          filename: item.file.name,
+          fileType: item.file.type
+        }));
+        requestData = formData;
+      } else {
+        throw new ConversionError('Invalid item format - must provide either a URL or file');
+      }
+
+      // Make initial request to get job ID (chunked uploads already have one)
+      if (!response) {
+        response = await this.makeRequest(endpoint, {
+          method: 'POST',
+          headers: {
+            ...(!(requestData instanceof FormData) && { 'Content-Type': 'application/json' }),
+            'Accept': 'application/json',
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+          },
+          body: requestData instanceof FormData ? requestData : JSON.stringify(requestData),
+          onRetry,
+          signal
+        });
+      }
+
+      // Log the full response for debugging
+      console.log('📦 Server response:', JSON.stringify(response, null, 2));
+      
+      // Extract job ID from response
+      const jobId = response.jobId || response.id || response.job?.id;
+      if (!jobId) {
+        console.error('❌ No job ID found in response:', response);
+        throw new ConversionError('No job ID received from server', 'MISSING_JOB_ID', { response });
+      }
+      
+      console.log('✅ Job ID extracted:', jobId);
+
+      // Update item with job ID
+      item.jobId = jobId;
+
+      // Job updates are followed by the caller through the job transport
+      return { jobId, item };
     } catch (error) {
-      console.error('Upload failed:', error);
-      throw error instanceof ConversionError ? error : new ConversionError(error.message);
+      if (signal.aborted) {
+        console.log(`🛑 Submission of ${item.name} cancelled`);
+        throw new DOMException('Submission cancelled', 'AbortError');
+      }
+      this.releaseItem(item.id);
+      throw error;
     }
   }
   
+  /**
+   * Fetches the current status of a conversion job
+   * @public
+   * @param {string} jobId - Server job ID
+   * @param {string} [apiKey] - API key for authorization
+   * @returns {Promise<Object>} Job status ({ jobId, status, progress, downloadUrl, error })
+   */
+  async getJobStatus(jobId, apiKey) {
+    if (!jobId) {
+      throw ConversionError.validation('Job ID is required');
+    }
+
+    return this.makeRequest(`${ENDPOINTS.JOB_STATUS}/${encodeURIComponent(jobId)}`, {
+      method: 'GET',
+      // Pollers back off on their own
+      retries: 0,
+      headers: {
+        'Accept': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      }
+    });
+  }
+
+  /**
+   * Asks the server to stop a job over HTTP, for when the socket is unavailable
+   * @public
+   * @param {string} jobId - Server job ID
+   * @param {string} [apiKey] - API key for authorization
+   * @returns {Promise<Object>}
+   */
+  async cancelJob(jobId, apiKey) {
+    if (!jobId) {
+      throw ConversionError.validation('Job ID is required');
+    }
+
+    return this.makeRequest(`${ENDPOINTS.JOB_STATUS}/${encodeURIComponent(jobId)}/cancel`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      }
+    });
+  }
+
+  /**
+   * Lists the pages a parent URL crawl would convert, without converting them
+   * @public
+   * @param {string} url - Parent URL
+   * @param {Object} [options] - Crawl options (maxDepth, maxPages)
+   * @param {string} [apiKey] - API key for authorization
+   * @param {Object} [requestOptions] - Extra makeRequest options (signal)
+   * @returns {Promise<Array<Object>>} Pages as { url, title, depth }
+   */
+  async discoverPages(url, options = {}, apiKey, requestOptions = {}) {
+    if (!url) {
+      throw ConversionError.validation('Parent URL is required');
+    }
+
+    const { maxDepth, maxPages, auth } = this._buildOptions('parent', options, options.auth);
+    const response = await this.makeRequest(ENDPOINTS.DISCOVER_PARENT_URL, {
+      ...requestOptions,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({ parenturl: url, options: { maxDepth, maxPages, ...(auth && { auth }) } })
+    });
+
+    // Older servers answer with a plain list of URLs
+    const pages = response?.pages || response?.urls || [];
+    return pages.map(page => typeof page === 'string'
+      ? { url: page, title: null, depth: null }
+      : { url: page.url, title: page.title || null, depth: page.depth ?? null });
+  }
+
+  /**
+   * Lists the videos of a YouTube playlist
+   * @public
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {string} [apiKey] - API key for authorization
+   * @returns {Promise<Object>} { title, videos: [{ videoId, title }] }
+   */
+  async getPlaylistVideos(playlistId, apiKey) {
+    if (!playlistId) {
+      throw ConversionError.validation('Playlist ID is required');
+    }
+
+    const response = await this.makeRequest(
+      `${ENDPOINTS.YOUTUBE_PLAYLIST}/${encodeURIComponent(playlistId)}`, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        }
+      });
+
+    return {
+      title: response?.title || null,
+      videos: (response?.videos || []).filter(video => video?.videoId)
+    };
+  }
+
+  /**
+   * Fetches the file extensions the backend can convert
+   * @public
+   * @returns {Promise<Array<string>>} Lowercase extensions
+   */
+  async getSupportedTypes() {
+    const response = await this.makeRequest(ENDPOINTS.SUPPORTED_TYPES, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' }
+    });
+
+    // Either a list of extensions or of { extension, mimeTypes } entries
+    const types = Array.isArray(response) ? response : response?.types || response?.extensions || [];
+    return types
+      .map(type => (typeof type === 'string' ? type : type?.extension || '').replace(/^\./, '').toLowerCase())
+      .filter(Boolean);
+  }
+
   getDefaultEndpoint(item) {
     const type = this.getItemType(item);
     
@@ -284,8 +504,8 @@ class ConversionClient {
     if (item.type === 'parent') return 'parent';
     if (item.type === 'youtube') return 'youtube';
     
-    // Check if it's a supported document type
-    if (this.config.FILES.CATEGORIES.documents.includes(fileType)) {
+    // Documents and data files share the file endpoint
+    if (getFileTypeInfo(fileType)?.endpoint === 'FILE') {
       return 'file';
     }
     
@@ -296,11 +516,11 @@ class ConversionClient {
   }
 
   isAudioType(ext) {
-    return ext && this.config.FILES.CATEGORIES.audio.includes(ext);
+    return Boolean(ext) && getFileTypeInfo(ext)?.category === 'audio';
   }
 
   isVideoType(ext) {
-    return ext && this.config.FILES.CATEGORIES.video.includes(ext);
+    return Boolean(ext) && getFileTypeInfo(ext)?.category === 'video';
   }
 
   async _getErrorMessage(response) {
@@ -323,12 +543,59 @@ class ConversionClient {
     }
   }
 
-  cancelRequests() {
-    if (this.controller) {
-      this.controller.abort();
-      this.controller = null;
+  /**
+   * Creates the AbortController that covers an item's upload, request and download
+   * @private
+   */
+  _createController(itemId) {
+    this.activeRequests.get(itemId)?.abort();
+    const controller = new AbortController();
+    this.activeRequests.set(itemId, controller);
+    return controller;
+  }
+
+  /**
+   * Returns the abort signal of an item in flight
+   * @public
+   * @param {string} itemId
+   * @returns {AbortSignal|undefined}
+   */
+  getSignal(itemId) {
+    return this.activeRequests.get(itemId)?.signal;
+  }
+
+  /**
+   * Forgets an item's controller once it no longer has anything in flight
+   * @public
+   * @param {string} itemId
+   */
+  releaseItem(itemId) {
+    this.activeRequests.delete(itemId);
+  }
+
+  /**
+   * Aborts everything in flight for a single item
+   * @public
+   * @param {string} itemId
+   */
+  cancelItem(itemId) {
+    conversionQueue.cancel(itemId);
+    const controller = this.activeRequests.get(itemId);
+    if (controller) {
+      controller.abort();
+      this.activeRequests.delete(itemId);
     }
   }
+
+  /**
+   * Aborts everything in flight for all items
+   * @public
+   */
+  cancelRequests() {
+    conversionQueue.clear();
+    this.activeRequests.forEach(controller => controller.abort());
+    this.activeRequests.clear();
+  }
 }
 
 export default new ConversionClient();
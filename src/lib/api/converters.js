@@ -5,15 +5,14 @@ import { CONFIG } from '../config';
 import { ConversionError, ErrorUtils } from './errors.js';
 import { RequestHandler } from './requestHandler.js';
 import { ENDPOINTS } from './endpoints.js';
+import { canonicalizeUrl } from '../utils/urlUtils.js';
 
 /**
- * Default conversion options
+ * Default conversion options, without the crawl limits that only apply to parent URLs
+ * and the transcript layout that only applies to YouTube videos.
+ * The Map-of-Content layout is applied in the browser and never sent.
  */
-const DEFAULT_OPTIONS = {
-  includeImages: true,
-  includeMeta: true,
-  convertLinks: true
-};
+const { maxDepth, maxPages, mocLayout, transcriptMode, ...DEFAULT_OPTIONS } = CONFIG.CONVERSION.DEFAULT_OPTIONS;
 
 /**
  * Handles different types of content conversion
@@ -40,16 +39,12 @@ export class Converters {
       throw ConversionError.validation('URL is required');
     }
 
-    const trimmed = url.trim().replace(/\s+/g, '');
-    if (!trimmed) {
+    if (!url.trim()) {
       throw ConversionError.validation('URL is required');
     }
 
     try {
-      const normalizedUrl = !/^https?:\/\//i.test(trimmed) ?
-        `https://${trimmed}` : trimmed;
-      new URL(normalizedUrl); // Validate URL format
-      return normalizedUrl;
+      return canonicalizeUrl(url);
     } catch (error) {
       throw ConversionError.validation('Invalid URL format');
     }
@@ -71,11 +66,13 @@ export class Converters {
       name: input.name?.trim() || 'Untitled',
       options: {
         ...DEFAULT_OPTIONS,
-        ...input.options
+        ...input.options,
+        // Credentials from a profile, for pages behind a login
+        ...(input.auth && { auth: input.auth })
       }
     };
 
-    console.log(`🔄 Converting ${type}:`, { input, requestBody });
+    console.log(`🔄 Converting ${type}:`, { url: normalizedUrl, name: requestBody.name });
 
     return {
       method: 'POST',
@@ -112,30 +109,69 @@ export class Converters {
   }
 
   /**
-   * Converts URLs in batch
+   * Converts the transcript of a YouTube video to markdown
    * @public
    */
-  static async convertBatch(items, apiKey) {
+  static async convertYoutube(input, apiKey) {
+    const options = this._prepareRequest(input, 'youtube', apiKey);
+    return this._makeConversionRequest(ENDPOINTS.CONVERT_YOUTUBE, options, 'YouTube');
+  }
+
+  /**
+   * Converts URLs and files in batch.
+   * Batches with files are sent as multipart: the item list goes in the
+   * `items` field and every file is appended under `file`, with `fileIndex`
+   * pointing each item at its file.
+   * @public
+   * @param {Array<Object>} items - Prepared items
+   * @param {string} apiKey - API key for authorization
+   * @param {Object} [requestOptions] - Extra makeRequest options (signal, onRetry)
+   */
+  static async convertBatch(items, apiKey, requestOptions = {}) {
     if (!Array.isArray(items) || items.length === 0) {
       throw ConversionError.validation('Items must be an array');
     }
 
-    const batchItems = items.map(item => ({
-      type: item.type.toLowerCase(),
-      url: item.url ? this._normalizeUrl(item.url) : null,
-      name: item.name?.trim() || 'Untitled',
-      options: {
-        ...DEFAULT_OPTIONS,
-        ...item.options
+    const files = [];
+    const batchItems = items.map(item => {
+      const batchItem = {
+        id: item.id,
+        type: item.type.toLowerCase(),
+        url: item.url ? this._normalizeUrl(item.url) : null,
+        name: item.name?.trim() || 'Untitled',
+        // Pages picked in the crawl preview for parent URLs
+        ...(item.urls?.length && { urls: item.urls }),
+        ...(item.tags?.length && { tags: item.tags }),
+        options: {
+          ...DEFAULT_OPTIONS,
+          ...item.options
+        }
+      };
+
+      if (item.file instanceof File) {
+        batchItem.fileIndex = files.push(item.file) - 1;
+        batchItem.options.filename = item.file.name;
+        batchItem.options.fileType = item.file.type;
       }
-    }));
+      return batchItem;
+    });
 
-    console.log('🔄 Converting batch:', { items: batchItems });
+    console.log('🔄 Converting batch:', { items: RequestHandler.redactSecrets(batchItems), files: files.length });
+
+    let body;
+    if (files.length > 0) {
+      body = new FormData();
+      body.append('items', JSON.stringify(batchItems));
+      files.forEach(file => body.append('file', file, file.name));
+    } else {
+      body = JSON.stringify({ items: batchItems });
+    }
 
     const options = {
+      ...requestOptions,
       method: 'POST',
       headers: this._createHeaders(apiKey),
-      body: JSON.stringify({ items: batchItems })
+      body
     };
 
     return this._makeConversionRequest(ENDPOINTS.CONVERT_BATCH, options, 'Batch');
@@ -151,16 +187,18 @@ export class Converters {
     }
 
     const normalizedUrl = this._normalizeUrl(input.url);
+    const { mocLayout: _mocLayout, ...inputOptions } = input.options || {};
     
     // Structure specifically for parent URL endpoint
     const requestBody = {
       parenturl: normalizedUrl,
+      ...(input.urls?.length && { urls: input.urls }),
       options: {
-        maxDepth: input.options?.depth || input.options?.maxDepth || 3,
-        maxPages: input.options?.maxPages || 100,
-        includeImages: input.options?.includeImages ?? true,
-        includeMeta: input.options?.includeMeta ?? true,
-        convertLinks: input.options?.convertLinks ?? true
+        ...DEFAULT_OPTIONS,
+        ...inputOptions,
+        maxDepth: input.options?.maxDepth ?? input.options?.depth ?? maxDepth,
+        maxPages: input.options?.maxPages ?? maxPages,
+        ...(input.auth && { auth: input.auth })
       }
     };
 
@@ -170,7 +208,7 @@ export class Converters {
       body: JSON.stringify(requestBody)
     };
 
-    console.log('🔄 Converting Parent URL:', { requestBody });
+    console.log('🔄 Converting Parent URL:', { parenturl: normalizedUrl, pages: input.urls?.length || 'all' });
     return this._makeConversionRequest(ENDPOINTS.CONVERT_PARENT_URL, options, 'Parent URL');
   }
 
@@ -227,6 +265,7 @@ export class Converters {
 // Export conversion methods
 export const {
   convertUrl,
+  convertYoutube,
   convertBatch,
   convertParentUrl
 } = Converters;
@@ -13,9 +13,18 @@ function generateEndpoints(baseUrl) {
         CONVERT_FILE: '/document/file',
         CONVERT_URL: '/web/url',
         CONVERT_PARENT_URL: '/web/parent-url',
+        DISCOVER_PARENT_URL: '/web/parent-url/discover',
+        CONVERT_YOUTUBE: '/web/youtube',
+        YOUTUBE_PLAYLIST: '/web/youtube/playlist',
+        SUPPORTED_TYPES: '/files/supported',
         CONVERT_BATCH: '/batch',
         CONVERT_AUDIO: '/multimedia/audio',
-        CONVERT_VIDEO: '/multimedia/video'
+        CONVERT_VIDEO: '/multimedia/video',
+        UPLOAD_INIT: '/upload/init',
+        UPLOAD_CHUNK: '/upload/chunk',
+        UPLOAD_STATUS: '/upload/status',
+        UPLOAD_COMPLETE: '/upload/complete',
+        JOB_STATUS: '/jobs'
     };
 
     // Ensure proper URL construction
@@ -86,6 +95,7 @@ export function getEndpointUrl(type, id = null) {
         url: ENDPOINTS.CONVERT_URL,
         file: ENDPOINTS.CONVERT_FILE,
         parent: ENDPOINTS.CONVERT_PARENT_URL,
+        youtube: ENDPOINTS.CONVERT_YOUTUBE,
         batch: ENDPOINTS.CONVERT_BATCH,
         audio: ENDPOINTS.CONVERT_AUDIO,
         video: ENDPOINTS.CONVERT_VIDEO
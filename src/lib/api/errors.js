@@ -105,9 +105,13 @@ export const ErrorUtils = {
     },
 
     isRetryable(error) {
+        if (error?.name === 'AbortError') return false;
+
         // Add status code check
-        if (error.status === 400 || error?.response?.status === 400) {
-            return false;
+        const status = error?.status ?? error?.response?.status;
+        if (status) {
+            // Rate limits, timeouts and server errors are worth another try, other client errors are not
+            return [408, 425, 429, 500, 502, 503, 504].includes(status);
         }
 
         const retryableCodes = ['NETWORK_ERROR', 'API_ERROR', 'TIMEOUT_ERROR'];
@@ -20,14 +20,43 @@ const DEFAULT_CONFIG = {
   mode: 'cors',
   headers: {
     'Accept': 'application/json, application/zip, application/octet-stream'
-  },
-  keepalive: true
+  }
 };
 
 /**
  * Handles all API requests with consistent error handling and retries
  */
 export class RequestHandler {
+  /**
+   * Copies a value for logging with credential profile `auth` blocks and the
+   * Authorization header masked, so secrets never reach the console
+   * @public
+   */
+  static redactSecrets(value) {
+    if (Array.isArray(value)) {
+      return value.map(entry => this.redactSecrets(entry));
+    }
+    if (!value || typeof value !== 'object' || value instanceof Blob) {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      key === 'auth' || key.toLowerCase() === 'authorization' ? '[redacted]' : this.redactSecrets(entry)
+    ]));
+  }
+
+  /**
+   * Parses a JSON string for logging, masking its secrets
+   * @private
+   */
+  static _redactJson(text) {
+    try {
+      return this.redactSecrets(JSON.parse(text));
+    } catch {
+      return text;
+    }
+  }
+
   /**
    * Logs request details for debugging
    * @private 
@@ -37,7 +66,7 @@ export class RequestHandler {
       const requestInfo = {
         endpoint,
         method: options.method,
-        headers: options.headers,
+        headers: this.redactSecrets(options.headers),
       };
 
       // Safely log FormData contents
@@ -51,16 +80,12 @@ export class RequestHandler {
               size: pair[1].size
             };
           } else {
-            formDataEntries[pair[0]] = pair[1];
+            formDataEntries[pair[0]] = typeof pair[1] === 'string' ? this._redactJson(pair[1]) : pair[1];
           }
         }
         requestInfo.formData = formDataEntries;
       } else if (typeof options.body === 'string') {
-        try {
-          requestInfo.body = JSON.parse(options.body);
-        } catch {
-          requestInfo.body = options.body;
-        }
+        requestInfo.body = this._redactJson(options.body);
       }
 
       console.log('🚀 Request Details:', requestInfo);
@@ -110,10 +135,91 @@ export class RequestHandler {
   }
 
   /**
-   * Makes an API request with retry logic
+   * Makes an API request with retry logic.
+   * Retryable failures are retried with exponential backoff and jitter,
+   * honoring Retry-After on 429 and 503 responses. When an idempotency key
+   * is given it is sent as the Idempotency-Key header on every attempt, so a
+   * retried upload is not processed twice by the server.
    * @public
+   * @param {string} endpoint - Request URL
+   * @param {Object} options - Fetch options
+   * @param {number} [options.retries] - Retries after the first attempt, defaults to CONFIG.API.MAX_RETRIES
+   * @param {Function} [options.onRetry] - Called before each retry with { attempt, maxRetries, delay, error }
+   * @param {string} [options.idempotencyKey] - Sent as the Idempotency-Key header
    */
   static async makeRequest(endpoint, options) {
+    const maxRetries = options.retries ?? CONFIG.API.MAX_RETRIES;
+    const method = options.method || 'POST';
+    const headers = { ...options.headers };
+
+    if (options.idempotencyKey && method !== 'GET') {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._attemptRequest(endpoint, { ...options, method, headers });
+      } catch (error) {
+        if (attempt >= maxRetries || options.signal?.aborted || !ErrorUtils.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(attempt + 1, error);
+        console.log(`🔁 Retrying ${endpoint} in ${delay}ms (attempt ${attempt + 1}/${maxRetries}):`, error.message);
+        options.onRetry?.({ attempt: attempt + 1, maxRetries, delay, error });
+        await this._wait(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Computes the wait before a retry
+   * @private
+   */
+  static _getRetryDelay(attempt, error) {
+    const { RETRY_DELAY, MAX_RETRY_DELAY, RETRY_JITTER } = CONFIG.API;
+
+    // The server told us how long to wait
+    if (typeof error.retryAfter === 'number') {
+      return Math.min(error.retryAfter, MAX_RETRY_DELAY);
+    }
+
+    const backoff = Math.min(RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+    const jitter = backoff * RETRY_JITTER * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(backoff + jitter));
+  }
+
+  /**
+   * Waits between attempts, stopping early when the request is aborted
+   * @private
+   */
+  static _wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Parses a Retry-After header (seconds or HTTP date) into milliseconds
+   * @private
+   */
+  static _parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Makes a single request attempt
+   * @private
+   */
+  static async _attemptRequest(endpoint, options) {
     try {
       const requestOptions = {
         method: options.method || 'POST',
@@ -121,7 +227,8 @@ export class RequestHandler {
         headers: { ...options.headers },
         body: options.body,
         signal: options.signal,
-        keepalive: true
+        // Browsers cap keepalive request bodies at 64KB, far below an upload chunk
+        keepalive: !options.body
       };
 
       // Validate request body exists for POST requests
@@ -193,20 +300,24 @@ export class RequestHandler {
       });
 
       const errorData = this._parseErrorResponse(errorText, response.status);
-      
-      if (errorData.status === 'error' && errorData.error) {
-        throw new ConversionError(
+      const error = errorData.status === 'error' && errorData.error
+        ? new ConversionError(
           errorData.error.message || 'Unknown server error',
           errorData.error.code || 'API_ERROR',
           errorData.error.details
+        )
+        : new ConversionError(
+          errorData.message || `Request failed with status ${response.status}`,
+          'API_ERROR',
+          errorData
         );
-      }
 
-      throw new ConversionError(
-        errorData.message || `Request failed with status ${response.status}`,
-        'API_ERROR',
-        errorData
-      );
+      // Keep the HTTP status so callers and the retry logic can act on it
+      error.status = response.status;
+      if (response.status === 429 || response.status === 503) {
+        error.retryAfter = this._parseRetryAfter(response.headers.get('Retry-After'));
+      }
+      throw error;
     }
 
     let data;
@@ -237,6 +348,7 @@ export class RequestHandler {
             const hasSuccessIndicators = data.success === true || 
                                         data.downloadUrl || 
                                         data.jobId ||
+                                        data.uploadId ||
                                         (data.status === 'success') ||
                                         (data.status === 'completed');
             
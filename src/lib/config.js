@@ -1,3 +1,5 @@
+import { getExtensionsByCategory, getSupportedExtensions, requiresApiKey as typeRequiresApiKey } from './utils/fileTypes.js';
+
 // Environment variables with fallbacks
 const ENV = {
     API_BASE_URL: import.meta.env.PROD ? 
@@ -29,7 +31,8 @@ export const SOCKET_EVENTS = {
     JOB_STATUS: 'job:status',
     JOB_PROGRESS: 'job:progress',
     JOB_COMPLETE: 'job:complete',
-    JOB_ERROR: 'job:error'
+    JOB_ERROR: 'job:error',
+    JOB_CANCEL: 'cancel:job'
 };
 
 export const CONFIG = {
@@ -48,6 +51,8 @@ export const CONFIG = {
     API: {
         MAX_RETRIES: 3,
         RETRY_DELAY: 1000,
+        MAX_RETRY_DELAY: 30000,
+        RETRY_JITTER: 0.25, // +/- share of the backoff added at random
         BASE_URL: ENV.API_BASE_URL,
         HEADERS: {
             'Accept': 'application/json, application/zip, application/octet-stream'
@@ -57,9 +62,18 @@ export const CONFIG = {
             FILE: '/document/file',
             URL: '/web/url',
             PARENT_URL: '/web/parent-url',
+            PARENT_URL_DISCOVER: '/web/parent-url/discover',
+            YOUTUBE: '/web/youtube',
+            YOUTUBE_PLAYLIST: '/web/youtube/playlist',
+            SUPPORTED_TYPES: '/files/supported',
             BATCH: '/batch',
             AUDIO: '/multimedia/audio',
-            VIDEO: '/multimedia/video'
+            VIDEO: '/multimedia/video',
+            UPLOAD_INIT: '/upload/init',
+            UPLOAD_CHUNK: '/upload/chunk',
+            UPLOAD_STATUS: '/upload/status',
+            UPLOAD_COMPLETE: '/upload/complete',
+            JOB_STATUS: '/jobs'
         },
         MAX_FILE_SIZE: ENV.MAX_PAYLOAD_SIZE
     },
@@ -71,12 +85,8 @@ export const CONFIG = {
     },
 
     FILES: {
-        CATEGORIES: {
-            documents: ['pdf', 'docx', 'pptx'],
-            audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'wma'],
-            video: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
-            data: ['csv', 'xlsx']
-        },
+        // Derived from the file-type registry in utils/fileTypes.js
+        CATEGORIES: getExtensionsByCategory(),
             TYPES: {
                 // Document types
                 FILE: 'file',
@@ -93,10 +103,7 @@ export const CONFIG = {
                 // Batch processing
                 BATCH: 'batch'
             },
-        API_REQUIRED: [
-            'mp3', 'wav', 'm4a',
-            'mp4', 'webm', 'avi'
-        ],
+        API_REQUIRED: getSupportedExtensions().filter(extension => typeRequiresApiKey(extension)),
         ICONS: {
             document: 'file-text',
             image: 'image',
@@ -124,11 +131,34 @@ export const CONFIG = {
         DEFAULT_OPTIONS: {
             includeImages: true,
             includeMeta: true,
-            maxDepth: 1,
-            convertLinks: true
+            convertLinks: true,
+            // Crawl limits, only sent for parent URLs
+            maxDepth: 3,
+            maxPages: 100,
+            // Map-of-Content note added to parent URL results: 'tree', 'flat' or 'none'
+            mocLayout: 'tree',
+            // Transcript layout for YouTube videos: 'paragraphs' or 'timestamps'
+            transcriptMode: 'paragraphs',
+            // Output formatting
+            frontmatterTemplate: '',
+            attachmentFolder: 'attachments',
+            headingStyle: 'atx'
         },
+        CRAWL_OPTIONS: ['maxDepth', 'maxPages', 'mocLayout'],
+        MOC_LAYOUTS: ['tree', 'flat', 'none'],
+        YOUTUBE_OPTIONS: ['transcriptMode'],
+        TRANSCRIPT_MODES: ['paragraphs', 'timestamps'],
+        HEADING_STYLES: ['atx', 'setext'],
         BATCH_SIZE_LIMIT: 10,
         FILE_SIZE_LIMIT: 50 * 1024 * 1024, // 50MB
+        CHUNKED_UPLOAD: {
+            // Files above FILE_SIZE_LIMIT are uploaded in parts instead of one request
+            CHUNK_SIZE: 5 * 1024 * 1024, // 5MB
+            MAX_FILE_SIZE: 1024 * 1024 * 1024, // 1GB
+            // Retries of one chunk request, used instead of API.MAX_RETRIES
+            MAX_CHUNK_RETRIES: 3,
+            SESSION_TTL: 24 * 60 * 60 * 1000 // 24 hours
+        }
     },
 
     UI: {
@@ -171,7 +201,59 @@ export const CONFIG = {
     },
 
     STORAGE: {
-        API_KEY: 'obsdian_note_converter_api_key'
+        API_KEY: 'obsdian_note_converter_api_key',
+        UPLOAD_SESSIONS: 'obsidian_converter_upload_sessions',
+        CONVERSION_OPTIONS: 'obsidian_converter_options',
+        DATABASE: {
+            NAME: 'obsidian_converter',
+            VERSION: 3,
+            STORES: {
+                HISTORY: 'history',
+                HANDLES: 'handles',
+                CREDENTIALS: 'credentials',
+                KEYS: 'keys'
+            }
+        },
+        VAULT_SETTINGS: 'obsidian_converter_vault_settings',
+        JOBS: 'obsidian_converter_jobs'
+    },
+
+    QUEUE: {
+        // Items uploaded and submitted at the same time
+        CONCURRENCY: 3
+    },
+
+    JOBS: {
+        POLL_INTERVAL: 5000,
+        MAX_POLL_INTERVAL: 30000,
+        POLL_BACKOFF: 1.5,
+        // Poll even with a connected socket once it has been quiet about a job this long
+        SILENCE_THRESHOLD: 20000,
+        // Jobs older than this are not recovered after a reload
+        RECOVERY_WINDOW: 24 * 60 * 60 * 1000 // 24 hours
+    },
+
+    VAULT: {
+        DEFAULT_SUBFOLDER: 'Converted',
+        CONFLICT_STRATEGIES: ['rename', 'skip', 'overwrite'],
+        DEFAULT_CONFLICT_STRATEGY: 'rename',
+        DEFAULT_ATTACHMENT_FOLDER: 'attachments'
+    },
+
+    HISTORY: {
+        MAX_ENTRIES: 50,
+        // Larger source files are not kept, so their entries cannot be re-run
+        MAX_SOURCE_SIZE: 25 * 1024 * 1024 // 25MB
+    },
+
+    IMPORT: {
+        // Same-origin route fetching sitemaps and feeds that do not allow CORS
+        SOURCE_ENDPOINT: '/api/fetch-source',
+        MAX_SOURCE_SIZE: 10 * 1024 * 1024, // 10MB
+        FETCH_TIMEOUT: 15000,
+        // Child sitemaps followed from a sitemap index
+        MAX_SITEMAPS: 20,
+        MAX_ENTRIES: 1000
     }
 };
 
@@ -198,14 +280,7 @@ export const { ITEM_TYPES, FILE_CATEGORIES, API_REQUIRED_TYPES } = CONFIG.FILES;
 export const { STATUSES, COLORS, CSS } = CONFIG.UI;
 
 // Helper functions
-export const requiresApiKey = (file) => {
-    if (!file) return false;
-    const ext = (typeof file === 'string' ? file : file.name)
-        .split('.')
-        .pop()
-        .toLowerCase();
-    return CONFIG.FILES.API_REQUIRED.includes(ext);
-};
+export const requiresApiKey = (file) => typeRequiresApiKey(file);
 
 // Freeze configurations to prevent modifications
 Object.freeze(CONFIG);
@@ -0,0 +1,218 @@
+// src/lib/services/conversionQueue.js
+
+import { writable } from 'svelte/store';
+import { CONFIG } from '../config';
+
+/**
+ * Runs conversion submissions with a limited number in flight at once.
+ * Higher priority tasks start first, equal priorities run in the order they were added.
+ */
+class ConversionQueue {
+    constructor(concurrency = CONFIG.QUEUE.CONCURRENCY) {
+        this.concurrency = concurrency;
+        this.paused = false;
+        this.tasks = new Map();
+        this.running = 0;
+        this.sequence = 0;
+        this.state = writable({ paused: false, concurrency, items: {} });
+    }
+
+    /**
+     * Adds a task to the queue. A finished task with the same id is replaced.
+     * @param {string} id - Item ID
+     * @param {Function} run - Async function doing the work
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Higher runs first
+     * @returns {Promise<*>} Settles with the task's result
+     */
+    enqueue(id, run, { priority = 0 } = {}) {
+        const existing = this.tasks.get(id);
+        if (existing && ['queued', 'running'].includes(existing.status)) {
+            return existing.promise;
+        }
+
+        const task = {
+            id,
+            run,
+            priority,
+            order: this.sequence++,
+            status: 'queued',
+            attempts: 0,
+            error: null
+        };
+        task.promise = new Promise((resolve, reject) => {
+            task.resolve = resolve;
+            task.reject = reject;
+        });
+        // Callers that only watch the store should not see unhandled rejections
+        task.promise.catch(() => {});
+
+        this.tasks.set(id, task);
+        this._publish();
+        this._pump();
+        return task.promise;
+    }
+
+    /**
+     * Runs a failed or cancelled task again
+     * @param {string} id
+     * @returns {Promise<*>|null} The new run, or null if the task cannot be retried
+     */
+    retry(id) {
+        const task = this.tasks.get(id);
+        if (!task || !['failed', 'cancelled'].includes(task.status)) return null;
+
+        const attempts = task.attempts;
+        const promise = this.enqueue(id, task.run, { priority: task.priority });
+        this.tasks.get(id).attempts = attempts;
+        this._publish();
+        return promise;
+    }
+
+    /**
+     * Removes a task that has not started yet.
+     * Tasks already running are stopped through their own abort signal.
+     * @param {string} id
+     * @returns {boolean} Whether a queued task was removed
+     */
+    cancel(id) {
+        const task = this.tasks.get(id);
+        if (!task || task.status !== 'queued') return false;
+
+        task.status = 'cancelled';
+        task.reject(new DOMException('Queued task cancelled', 'AbortError'));
+        this._publish();
+        return true;
+    }
+
+    /**
+     * Changes the priority of a task that is still waiting
+     * @param {string} id
+     * @param {number} priority
+     */
+    setPriority(id, priority) {
+        const task = this.tasks.get(id);
+        if (!task || task.status !== 'queued') return;
+        task.priority = priority;
+        this._publish();
+    }
+
+    /**
+     * Moves a waiting task ahead of every other waiting task
+     * @param {string} id
+     */
+    prioritize(id) {
+        const highest = Math.max(0, ...[...this.tasks.values()].map(task => task.priority));
+        this.setPriority(id, highest + 1);
+    }
+
+    /**
+     * Stops starting new tasks. Running tasks finish normally.
+     */
+    pause() {
+        this.paused = true;
+        this._publish();
+    }
+
+    resume() {
+        this.paused = false;
+        this._publish();
+        this._pump();
+    }
+
+    /**
+     * @param {number} concurrency - Maximum number of tasks running at once
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, concurrency);
+        this._publish();
+        this._pump();
+    }
+
+    /**
+     * Cancels waiting tasks and forgets finished ones
+     */
+    clear() {
+        this.tasks.forEach(task => {
+            if (task.status === 'queued') this.cancel(task.id);
+        });
+        this.tasks.forEach((task, id) => {
+            if (task.status !== 'running') this.tasks.delete(id);
+        });
+        this.paused = false;
+        this._publish();
+    }
+
+    /**
+     * Picks the next waiting task
+     * @private
+     */
+    _next() {
+        let next = null;
+        for (const task of this.tasks.values()) {
+            if (task.status !== 'queued') continue;
+            if (!next || task.priority > next.priority ||
+                (task.priority === next.priority && task.order < next.order)) {
+                next = task;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Starts tasks until the concurrency limit is reached
+     * @private
+     */
+    _pump() {
+        while (!this.paused && this.running < this.concurrency) {
+            const task = this._next();
+            if (!task) return;
+            this._start(task);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _start(task) {
+        task.status = 'running';
+        task.attempts++;
+        task.error = null;
+        this.running++;
+        this._publish();
+
+        try {
+            const result = await task.run();
+            task.status = 'done';
+            task.resolve(result);
+        } catch (error) {
+            task.status = error?.name === 'AbortError' ? 'cancelled' : 'failed';
+            task.error = error?.message || String(error);
+            task.reject(error);
+        } finally {
+            this.running--;
+            this._publish();
+            this._pump();
+        }
+    }
+
+    /**
+     * Pushes the current queue state to subscribers
+     * @private
+     */
+    _publish() {
+        const items = {};
+        this.tasks.forEach((task, id) => {
+            items[id] = {
+                status: task.status,
+                priority: task.priority,
+                attempts: task.attempts,
+                error: task.error
+            };
+        });
+        this.state.set({ paused: this.paused, concurrency: this.concurrency, items });
+    }
+}
+
+// Export singleton instance
+export default new ConversionQueue();
@@ -0,0 +1,110 @@
+// src/lib/services/credentials.js
+
+import { database, STORES } from './database.js';
+
+const ENCRYPTION_KEY_ID = 'credentials';
+const IV_LENGTH = 12;
+
+/**
+ * Keeps credential profiles for authenticated web conversions encrypted in IndexedDB.
+ * Profiles are sealed with AES-GCM under a key that is generated in this browser and
+ * stored as a non-extractable CryptoKey, so its raw bytes can never be read back by scripts.
+ */
+class CredentialService {
+    constructor() {
+        this.keyPromise = null;
+    }
+
+    /**
+     * Whether the browser offers WebCrypto and IndexedDB
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Loads the encryption key, creating it on first use
+     * @private
+     */
+    _getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = (async () => {
+                const record = await database.get(STORES.KEYS, ENCRYPTION_KEY_ID);
+                if (record?.key) return record.key;
+
+                const key = await crypto.subtle.generateKey(
+                    { name: 'AES-GCM', length: 256 },
+                    false,
+                    ['encrypt', 'decrypt']
+                );
+                await database.put(STORES.KEYS, { id: ENCRYPTION_KEY_ID, key });
+                return key;
+            })().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    /**
+     * Encrypts a profile into a storable record
+     * @private
+     */
+    async _seal(profile) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            await this._getKey(),
+            new TextEncoder().encode(JSON.stringify(profile))
+        );
+        return { id: profile.id, iv, data };
+    }
+
+    /**
+     * Decrypts a stored record back into a profile
+     * @private
+     */
+    async _open(record) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: record.iv },
+            await this._getKey(),
+            record.data
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * Reads and decrypts every stored profile.
+     * Records that no longer decrypt, e.g. after the key was cleared, are skipped.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getProfiles() {
+        const records = await database.getAll(STORES.CREDENTIALS);
+        const profiles = await Promise.all(records.map(record =>
+            this._open(record).catch(error => {
+                console.warn(`🔐 Could not decrypt credential profile ${record.id}:`, error);
+                return null;
+            })
+        ));
+        return profiles.filter(Boolean);
+    }
+
+    /**
+     * Encrypts and stores a profile, replacing one with the same id
+     * @param {Object} profile - Must contain an `id`
+     */
+    async saveProfile(profile) {
+        await database.put(STORES.CREDENTIALS, await this._seal(profile));
+    }
+
+    /**
+     * Deletes a stored profile
+     * @param {string} id
+     */
+    async deleteProfile(id) {
+        await database.delete(STORES.CREDENTIALS, id);
+    }
+}
+
+export default new CredentialService();
@@ -0,0 +1,115 @@
+// src/lib/services/database.js
+
+import { CONFIG } from '../config';
+
+const { NAME, VERSION, STORES } = CONFIG.STORAGE.DATABASE;
+
+let dbPromise = null;
+
+/**
+ * Opens the app's IndexedDB database, creating any missing object stores
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(NAME, VERSION);
+            let blocked = false;
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(STORES).forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: 'id' });
+                    }
+                });
+            };
+
+            // Another tab still has an older version open; fail now instead of waiting on it
+            request.onblocked = () => {
+                blocked = true;
+                dbPromise = null;
+                reject(new Error('The database is in use by another tab running an older version. Close it and try again.'));
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                if (blocked) {
+                    // Opened after being reported as blocked
+                    db.close();
+                    return;
+                }
+                // Let a newer version in another tab upgrade; the next request reopens
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result
+ * @private
+ */
+async function runRequest(storeName, mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export const database = {
+    /**
+     * Reads all records from a store
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    getAll: (storeName) => runRequest(storeName, 'readonly', store => store.getAll()),
+
+    /**
+     * Reads a single record by id
+     * @param {string} storeName
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    get: (storeName, id) => runRequest(storeName, 'readonly', store => store.get(id)),
+
+    /**
+     * Inserts or replaces a record
+     * @param {string} storeName
+     * @param {Object} record - Must contain an `id`
+     */
+    put: (storeName, record) => runRequest(storeName, 'readwrite', store => store.put(record)),
+
+    /**
+     * Deletes a record by id
+     * @param {string} storeName
+     * @param {string} id
+     */
+    delete: (storeName, id) => runRequest(storeName, 'readwrite', store => store.delete(id)),
+
+    /**
+     * Removes every record from a store
+     * @param {string} storeName
+     */
+    clear: (storeName) => runRequest(storeName, 'readwrite', store => store.clear())
+};
+
+export { STORES };
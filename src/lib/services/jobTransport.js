@@ -0,0 +1,224 @@
+// src/lib/services/jobTransport.js
+
+import { CONFIG } from '../config';
+import socketService from './socket.js';
+import client from '../api/client.js';
+
+const COMPLETED_STATUSES = ['completed', 'complete'];
+const FAILED_STATUSES = ['failed', 'error'];
+
+/**
+ * Delivers job updates to the same set of callbacks whether they arrive
+ * over the socket or from polling the job status endpoint.
+ *
+ * Polling kicks in when the socket is disconnected, or when it has been
+ * silent about a job for longer than CONFIG.JOBS.SILENCE_THRESHOLD, and
+ * backs off while nothing changes.
+ */
+class JobTransport {
+    constructor() {
+        this.watchers = new Map();
+    }
+
+    /**
+     * Starts following a job
+     * @param {string} jobId - Server job ID
+     * @param {Object} callbacks - onStatus, onProgress, onComplete and onError
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] - API key used when polling
+     * @param {boolean} [options.checkNow=false] - Poll once immediately, e.g. for recovered jobs
+     * @returns {Function} Stops watching the job
+     */
+    watch(jobId, callbacks = {}, { apiKey, checkNow = false } = {}) {
+        this.unwatch(jobId);
+
+        const watcher = {
+            jobId,
+            callbacks,
+            apiKey,
+            timer: null,
+            interval: CONFIG.JOBS.POLL_INTERVAL,
+            lastEventAt: Date.now(),
+            lastSnapshot: null
+        };
+        this.watchers.set(jobId, watcher);
+
+        if (!socketService.socket) {
+            socketService.connect();
+        }
+
+        socketService.subscribeToJob(jobId, {
+            onStatus: (data) => this._handleSocketEvent(watcher, 'onStatus', data),
+            onProgress: (data) => this._handleSocketEvent(watcher, 'onProgress', data),
+            onComplete: (data) => this._finish(watcher, 'onComplete', data),
+            onError: (error) => this._finish(watcher, 'onError', error)
+        });
+
+        if (checkNow) {
+            this._poll(watcher);
+        } else {
+            this._schedule(watcher);
+        }
+
+        return () => this.unwatch(jobId);
+    }
+
+    /**
+     * Stops following a job without notifying its callbacks
+     * @param {string} jobId
+     */
+    unwatch(jobId) {
+        const watcher = this.watchers.get(jobId);
+        if (!watcher) return;
+
+        clearTimeout(watcher.timer);
+        this.watchers.delete(jobId);
+        socketService.unsubscribeFromJob(jobId);
+    }
+
+    /**
+     * Cancels a job on the server and stops following it.
+     * Goes over HTTP when the socket is down, e.g. while polling.
+     * @param {string} jobId
+     * @param {Object} [options]
+     * @param {string} [options.apiKey] - API key for the HTTP request, defaults to the one used to watch the job
+     * @returns {Promise<void>} Rejects when the server could not be told to cancel
+     */
+    async cancel(jobId, { apiKey } = {}) {
+        const watcher = this.watchers.get(jobId);
+        if (watcher) {
+            clearTimeout(watcher.timer);
+            this.watchers.delete(jobId);
+        }
+        if (socketService.cancelJob(jobId)) return;
+
+        await client.cancelJob(jobId, apiKey ?? watcher?.apiKey);
+    }
+
+    /**
+     * @private
+     */
+    _handleSocketEvent(watcher, type, data) {
+        if (!this._isActive(watcher)) return;
+
+        // Socket is alive for this job, go back to the base interval
+        watcher.lastEventAt = Date.now();
+        watcher.interval = CONFIG.JOBS.POLL_INTERVAL;
+        watcher.callbacks[type]?.(data);
+    }
+
+    /**
+     * Delivers a final event exactly once, whichever channel reports it first
+     * @private
+     */
+    _finish(watcher, type, data) {
+        if (!this._isActive(watcher)) return;
+
+        this.unwatch(watcher.jobId);
+        try {
+            watcher.callbacks[type]?.(data);
+        } catch (error) {
+            console.error(`Error in ${type} callback for job ${watcher.jobId}:`, error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isActive(watcher) {
+        return this.watchers.get(watcher.jobId) === watcher;
+    }
+
+    /**
+     * Whether the socket can no longer be trusted to report on this job
+     * @private
+     */
+    _shouldPoll(watcher) {
+        return !socketService.connected ||
+            Date.now() - watcher.lastEventAt > CONFIG.JOBS.SILENCE_THRESHOLD;
+    }
+
+    /**
+     * @private
+     */
+    _schedule(watcher) {
+        if (!this._isActive(watcher)) return;
+        clearTimeout(watcher.timer);
+        watcher.timer = setTimeout(() => this._tick(watcher), watcher.interval);
+    }
+
+    /**
+     * @private
+     */
+    _tick(watcher) {
+        if (!this._isActive(watcher)) return;
+        if (this._shouldPoll(watcher)) {
+            this._poll(watcher);
+        } else {
+            this._schedule(watcher);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _backOff(watcher) {
+        watcher.interval = Math.min(
+            watcher.interval * CONFIG.JOBS.POLL_BACKOFF,
+            CONFIG.JOBS.MAX_POLL_INTERVAL
+        );
+    }
+
+    /**
+     * Fetches the job status and maps it onto the job callbacks
+     * @private
+     */
+    async _poll(watcher) {
+        let data;
+        try {
+            data = await client.getJobStatus(watcher.jobId, watcher.apiKey);
+        } catch (error) {
+            if (!this._isActive(watcher)) return;
+
+            // The server no longer knows the job, there is nothing left to wait for
+            if (error.code === 'NOT_FOUND' || error.status === 404) {
+                this._finish(watcher, 'onError', new Error('The conversion job no longer exists on the server'));
+                return;
+            }
+
+            console.warn(`⚠️ Unable to poll status of job ${watcher.jobId}:`, error.message);
+            this._backOff(watcher);
+            this._schedule(watcher);
+            return;
+        }
+
+        if (!this._isActive(watcher)) return;
+
+        if (COMPLETED_STATUSES.includes(data.status)) {
+            this._finish(watcher, 'onComplete', data);
+            return;
+        }
+        if (FAILED_STATUSES.includes(data.status)) {
+            const message = data.error?.message || data.error || data.message || 'Conversion failed';
+            this._finish(watcher, 'onError', new Error(message));
+            return;
+        }
+
+        const snapshot = `${data.status}:${data.progress}`;
+        if (snapshot === watcher.lastSnapshot) {
+            this._backOff(watcher);
+        } else {
+            watcher.lastSnapshot = snapshot;
+            watcher.interval = CONFIG.JOBS.POLL_INTERVAL;
+            watcher.callbacks.onStatus?.(data);
+            if (typeof data.progress === 'number') {
+                watcher.callbacks.onProgress?.(data);
+            }
+        }
+
+        this._schedule(watcher);
+    }
+}
+
+// Export singleton instance
+export default new JobTransport();
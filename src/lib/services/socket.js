@@ -157,6 +157,22 @@ class SocketService {
         this._cleanupJobSubscription(jobId);
     }
 
+    /**
+     * Asks the server to stop working on a job and stops listening to it
+     * @param {string} jobId - The ID of the job to cancel
+     * @returns {boolean} Whether the request was sent; false while the socket is down
+     */
+    cancelJob(jobId) {
+        if (!this.socket) return false;
+
+        this._cleanupJobSubscription(jobId);
+        if (!this.connected) return false;
+
+        console.log(`🛑 Cancelling job ${jobId}`);
+        this.socket.emit(SOCKET_EVENTS.JOB_CANCEL, { jobId });
+        return true;
+    }
+
     /**
      * Clean up job subscription
      * @private
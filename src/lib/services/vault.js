@@ -0,0 +1,294 @@
+// src/lib/services/vault.js
+
+import { writable } from 'svelte/store';
+import { CONFIG } from '../config';
+import { database, STORES } from './database.js';
+import { readResultEntries } from '../utils/zipUtils.js';
+import { toSegments, relativePath, rewriteAttachmentLinks } from '../utils/pathUtils.js';
+
+const VAULT_HANDLE_ID = 'vault';
+
+/**
+ * Writes conversion results straight into a local Obsidian vault using the File System Access API
+ */
+class VaultService {
+    constructor() {
+        this.handle = null;
+        this.status = writable({
+            supported: typeof window !== 'undefined' && 'showDirectoryPicker' in window,
+            name: null,
+            saving: false
+        });
+    }
+
+    /**
+     * Whether the browser supports writing to local folders
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+    }
+
+    /**
+     * Restores the vault handle picked in an earlier session
+     */
+    async restore() {
+        if (!this.isSupported() || this.handle) return this.handle;
+        try {
+            const record = await database.get(STORES.HANDLES, VAULT_HANDLE_ID);
+            if (record?.handle) {
+                this.handle = record.handle;
+                this.status.update(state => ({ ...state, name: record.handle.name }));
+            }
+        } catch (error) {
+            console.warn('🗄️ Unable to restore vault folder:', error);
+        }
+        return this.handle;
+    }
+
+    /**
+     * Asks the user to pick their vault folder and remembers it
+     */
+    async pickVault() {
+        if (!this.isSupported()) {
+            throw new Error('Saving to a folder is not supported in this browser');
+        }
+
+        const handle = await window.showDirectoryPicker({ id: 'obsidian-vault', mode: 'readwrite' });
+        this.handle = handle;
+        await database.put(STORES.HANDLES, { id: VAULT_HANDLE_ID, handle });
+        this.status.update(state => ({ ...state, name: handle.name }));
+
+        if (!(await this._hasObsidianConfig(handle))) {
+            console.warn('🗄️ Selected folder has no .obsidian directory, it may not be a vault');
+        }
+        return handle;
+    }
+
+    /**
+     * Forgets the stored vault folder
+     */
+    async forgetVault() {
+        this.handle = null;
+        await database.delete(STORES.HANDLES, VAULT_HANDLE_ID);
+        this.status.update(state => ({ ...state, name: null }));
+    }
+
+    /**
+     * Makes sure we can write to the vault, prompting the user if needed
+     * @private
+     */
+    async _ensurePermission(handle) {
+        const options = { mode: 'readwrite' };
+        if (await handle.queryPermission?.(options) === 'granted') return true;
+        return (await handle.requestPermission?.(options)) === 'granted';
+    }
+
+    /**
+     * @private
+     */
+    async _hasObsidianConfig(handle) {
+        try {
+            await handle.getDirectoryHandle('.obsidian');
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Reads the attachment folder setting from the vault's .obsidian/app.json.
+     * Obsidian stores "/" for the vault root, "./" or "./sub" for paths next to the note,
+     * and a plain path for a fixed folder in the vault.
+     * @private
+     */
+    async _readAttachmentSetting(handle) {
+        try {
+            const configDir = await handle.getDirectoryHandle('.obsidian');
+            const file = await (await configDir.getFileHandle('app.json')).getFile();
+            const config = JSON.parse(await file.text());
+            return config.attachmentFolderPath ?? '/';
+        } catch {
+            return '/';
+        }
+    }
+
+    /**
+     * Resolves the vault folder an attachment belongs in
+     * @private
+     */
+    _resolveAttachmentDir(setting, noteDir) {
+        if (!setting || setting === '/') return '';
+        if (setting.startsWith('./')) {
+            return toSegments(`${noteDir}/${setting.slice(2)}`).join('/');
+        }
+        return toSegments(setting).join('/');
+    }
+
+    /**
+     * Finds the first note that links to or embeds an attachment
+     * @private
+     */
+    _findReferencingNote(attachment, notes) {
+        return notes.find(note => {
+            const link = relativePath(note.entryDir, attachment.path);
+            return note.content.includes(`](${link})`) ||
+                note.content.includes(`](./${link})`) ||
+                note.content.includes(`](${encodeURI(link)})`) ||
+                note.content.includes(`![[${attachment.name}`);
+        });
+    }
+
+    /**
+     * Gets (and creates) the directory handle for a vault-relative folder path
+     * @private
+     */
+    async _getDirectory(path) {
+        let dir = this.handle;
+        for (const segment of toSegments(path)) {
+            dir = await dir.getDirectoryHandle(segment, { create: true });
+        }
+        return dir;
+    }
+
+    /**
+     * @private
+     */
+    async _fileExists(dir, name) {
+        try {
+            await dir.getFileHandle(name);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Picks the name a file is written under, honoring the conflict strategy
+     * @private
+     * @returns {Promise<string|null>} The name to write, or null to skip
+     */
+    async _resolveName(dir, name, strategy) {
+        if (!(await this._fileExists(dir, name))) return name;
+        if (strategy === 'overwrite') return name;
+        if (strategy === 'skip') return null;
+
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        for (let counter = 1; ; counter++) {
+            const candidate = `${base} ${counter}${ext}`;
+            if (!(await this._fileExists(dir, candidate))) return candidate;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _writeFile(dir, name, data) {
+        const fileHandle = await dir.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+
+    /**
+     * Unpacks a conversion result into the vault
+     *
+     * @param {Blob} blob - The conversion result
+     * @param {Object} options
+     * @param {string} [options.contentType] - MIME type of the result
+     * @param {string} [options.name] - Name of the converted item
+     * @param {string} [options.subfolder] - Vault folder the notes are written into
+     * @param {string} [options.conflictStrategy] - 'rename' | 'skip' | 'overwrite'
+     * @param {string} [options.attachmentMode] - 'obsidian' to follow vault settings, 'keep' for the result layout
+     * @returns {Promise<Object>} Summary of written, renamed and skipped files
+     */
+    async saveResult(blob, {
+        contentType,
+        name,
+        subfolder = CONFIG.VAULT.DEFAULT_SUBFOLDER,
+        conflictStrategy = CONFIG.VAULT.DEFAULT_CONFLICT_STRATEGY,
+        attachmentMode = 'obsidian'
+    } = {}) {
+        await this.restore();
+        if (!this.handle) {
+            throw new Error('Choose your vault folder first');
+        }
+        if (!(await this._ensurePermission(this.handle))) {
+            throw new Error('Permission to write to the vault folder was denied');
+        }
+
+        this.status.update(state => ({ ...state, saving: true }));
+        const summary = { written: [], renamed: [], skipped: [] };
+
+        try {
+            const entries = await readResultEntries(blob, { contentType, name });
+            const root = toSegments(subfolder).join('/');
+            const attachmentSetting = attachmentMode === 'obsidian'
+                ? await this._readAttachmentSetting(this.handle)
+                : null;
+
+            const notes = [];
+            for (const entry of entries.filter(e => e.kind === 'note')) {
+                const notePath = toSegments(`${root}/${entry.path}`).join('/');
+                notes.push({
+                    entry,
+                    notePath,
+                    entryDir: entry.path.split('/').slice(0, -1).join('/'),
+                    noteDir: notePath.split('/').slice(0, -1).join('/'),
+                    content: await entry.getText()
+                });
+            }
+
+            // Attachments are written first so notes can point at their final paths.
+            // Folders relative to the note ("./sub") follow the note that links to the attachment.
+            const movedAttachments = new Map();
+            for (const entry of entries.filter(e => e.kind === 'attachment')) {
+                const originalDir = toSegments(`${root}/${entry.path}`).slice(0, -1).join('/');
+                const noteDir = this._findReferencingNote(entry, notes)?.noteDir ?? root;
+                const targetDir = attachmentSetting === null
+                    ? originalDir
+                    : this._resolveAttachmentDir(attachmentSetting, noteDir);
+
+                const dir = await this._getDirectory(targetDir);
+                const targetName = await this._resolveName(dir, entry.name, conflictStrategy);
+                const targetPath = toSegments(`${targetDir}/${targetName ?? entry.name}`).join('/');
+                movedAttachments.set(entry.path, targetPath);
+
+                if (targetName === null) {
+                    summary.skipped.push(targetPath);
+                    continue;
+                }
+                await this._writeFile(dir, targetName, await entry.getBlob());
+                summary[targetName === entry.name ? 'written' : 'renamed'].push(targetPath);
+            }
+
+            for (const { entry, notePath, entryDir, noteDir, content } of notes) {
+                const dir = await this._getDirectory(noteDir);
+                const targetName = await this._resolveName(dir, entry.name, conflictStrategy);
+
+                if (targetName === null) {
+                    summary.skipped.push(notePath);
+                    continue;
+                }
+
+                const rewritten = rewriteAttachmentLinks(content, {
+                    noteDir: entryDir,
+                    newNoteDir: noteDir,
+                    moves: movedAttachments
+                });
+
+                await this._writeFile(dir, targetName, rewritten);
+                summary[targetName === entry.name ? 'written' : 'renamed'].push(`${noteDir}/${targetName}`);
+            }
+
+            console.log('🗄️ Saved conversion result to vault:', summary);
+            return summary;
+        } finally {
+            this.status.update(state => ({ ...state, saving: false }));
+        }
+    }
+}
+
+// Export singleton instance
+export default new VaultService();
@@ -0,0 +1,97 @@
+// src/lib/stores/conversionOptions.js
+
+import { writable, get } from 'svelte/store';
+import { browser } from '$app/environment';
+import { CONFIG } from '$lib/config';
+
+const DEFAULT_OPTIONS = CONFIG.CONVERSION.DEFAULT_OPTIONS;
+const CRAWL_OPTIONS = CONFIG.CONVERSION.CRAWL_OPTIONS;
+const YOUTUBE_OPTIONS = CONFIG.CONVERSION.YOUTUBE_OPTIONS;
+
+/**
+ * Reads saved global options, ignoring keys that are no longer supported
+ */
+function loadStoredOptions() {
+  if (!browser) return {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE.CONVERSION_OPTIONS)) || {};
+    return Object.fromEntries(
+      Object.entries(stored).filter(([key]) => key in DEFAULT_OPTIONS)
+    );
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Creates the store holding the global conversion options.
+ * Per-item overrides live on each item's `options` in the files store.
+ */
+function createConversionOptionsStore() {
+  const { subscribe, set, update } = writable({
+    ...DEFAULT_OPTIONS,
+    ...loadStoredOptions()
+  });
+
+  const persist = (options) => {
+    if (browser) {
+      localStorage.setItem(CONFIG.STORAGE.CONVERSION_OPTIONS, JSON.stringify(options));
+    }
+    return options;
+  };
+
+  return {
+    subscribe,
+    setOption: (key, value) => update(options => persist({ ...options, [key]: value })),
+    setOptions: (values) => update(options => persist({ ...options, ...values })),
+    reset: () => {
+      if (browser) localStorage.removeItem(CONFIG.STORAGE.CONVERSION_OPTIONS);
+      set({ ...DEFAULT_OPTIONS });
+    }
+  };
+}
+
+export const conversionOptions = createConversionOptionsStore();
+
+/**
+ * Resolves the options sent with an item: defaults, then global options, then item overrides.
+ * Crawl limits are only kept for parent URLs, transcript options for YouTube videos.
+ *
+ * @param {Object} item - Item from the files store
+ * @param {Object} [globalOptions] - Global options, defaults to the current store value
+ * @returns {Object} The effective options
+ */
+export function getItemOptions(item, globalOptions = get(conversionOptions)) {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...globalOptions,
+    ...item?.options
+  };
+
+  // Older items used `depth` for the crawl depth
+  if (item?.options?.depth !== undefined && item.options.maxDepth === undefined) {
+    options.maxDepth = item.options.depth;
+  }
+  delete options.depth;
+
+  if (item?.type !== 'parent') {
+    CRAWL_OPTIONS.forEach(key => delete options[key]);
+  }
+  if (item?.type !== 'youtube') {
+    YOUTUBE_OPTIONS.forEach(key => delete options[key]);
+  }
+
+  return options;
+}
+
+/**
+ * Returns only the options that differ from the global options
+ * @param {Object} options - Options edited for an item
+ * @param {Object} [globalOptions] - Global options, defaults to the current store value
+ * @returns {Object} Item overrides
+ */
+export function getOptionOverrides(options, globalOptions = get(conversionOptions)) {
+  return Object.fromEntries(
+    Object.entries(options).filter(([key, value]) => globalOptions[key] !== value)
+  );
+}
@@ -1,13 +1,69 @@
 // src/lib/stores/conversionResult.js
-import { writable } from 'svelte/store';
+import { writable, get } from 'svelte/store';
+import { mergeResults } from '$lib/utils/resultMerger.js';
+import { conversionOptions } from './conversionOptions.js';
 
+/**
+ * Holds the downloadable result of the current conversion.
+ * Results of separate jobs are collected in `results`; once there is more
+ * than one, `blob` is the merged zip of all of them.
+ */
 function createConversionResultStore() {
   const { subscribe, set, update } = writable(null);
+  let results = [];
+  // Ignores merges that finish after a newer one has started
+  let mergeId = 0;
+
+  async function merge() {
+    const id = ++mergeId;
+    const items = results.flatMap(result => result.items);
+    update(state => ({ ...state, items, results: [...results], merging: true }));
+
+    try {
+      const blob = await mergeResults(
+        results.map(result => ({ ...result, item: result.item || result.items[0] })),
+        { attachmentFolder: get(conversionOptions).attachmentFolder }
+      );
+      if (id !== mergeId) return;
+      set({ blob, contentType: 'application/zip', items, results: [...results], merging: false });
+    } catch (error) {
+      console.error('🗂️ Failed to merge conversion results:', error);
+      if (id !== mergeId) return;
+      update(state => ({ ...state, merging: false, mergeError: error.message }));
+    }
+  }
 
   return {
     subscribe,
-    setResult: (result) => set(result),
-    clearResult: () => set(null),
+    setResult: (result) => {
+      results = result ? [result] : [];
+      mergeId++;
+      set(result);
+    },
+    /**
+     * Adds the result of one finished job
+     * @param {Object} result
+     * @param {Blob} result.blob - The job's result
+     * @param {string} [result.contentType] - MIME type of the result
+     * @param {Object} [result.item] - The job's item, named after the batch for batch jobs
+     * @param {Array<Object>} result.items - Items the job converted
+     * @returns {Promise<void>} Resolves once the combined result is ready
+     */
+    addResult: (result) => {
+      results = [...results, result];
+      // Files from dropped folders are laid out in their folders, which takes a merge
+      const hasFolders = result.items.some(item => item.relativePath);
+      if (results.length === 1 && !hasFolders) {
+        set({ ...result, results: [...results], merging: false });
+        return Promise.resolve();
+      }
+      return merge();
+    },
+    clearResult: () => {
+      results = [];
+      mergeId++;
+      set(null);
+    },
     // Helper to check if there's a valid result
     hasResult: () => {
       let currentValue = null;
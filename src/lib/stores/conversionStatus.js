@@ -23,6 +23,7 @@ function createConversionStore() {
 
   return {
     subscribe,
+    update,
     setStatus: (status) =>
       update((state) => ({ ...state, status })),
     setProgress: (progress) =>
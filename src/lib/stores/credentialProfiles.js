@@ -0,0 +1,186 @@
+// src/lib/stores/credentialProfiles.js
+
+import { writable, get } from 'svelte/store';
+import { browser } from '$app/environment';
+import { v4 as uuidv4 } from 'uuid';
+import credentialService from '$lib/services/credentials.js';
+import { canonicalizeUrl } from '$lib/utils/urlUtils.js';
+
+// Choices an item can make besides a profile id
+export const AUTO_PROFILE = 'auto';
+export const NO_PROFILE = 'none';
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~\w-]+$/;
+
+/**
+ * Reads the bare host of a domain pattern such as "https://Wiki.Example.com/"
+ * @private
+ */
+function toDomain(match) {
+  return match.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, '').replace(/^\*\./, '');
+}
+
+/**
+ * Scores how well a profile fits a URL.
+ * Domain profiles also cover subdomains; URL-prefix profiles win over domain ones,
+ * and longer patterns win over shorter ones.
+ *
+ * @param {Object} profile
+ * @param {string} url - Canonical URL
+ * @returns {number} 0 when the profile does not apply
+ */
+export function matchProfile(profile, url) {
+  if (!profile?.match) return 0;
+  try {
+    if (profile.scope === 'prefix') {
+      const prefix = canonicalizeUrl(profile.match);
+      return url.startsWith(prefix) ? 1000 + prefix.length : 0;
+    }
+
+    const domain = toDomain(profile.match);
+    const host = new URL(url).hostname;
+    return domain && (host === domain || host.endsWith(`.${domain}`)) ? domain.length : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Picks the most specific profile for a URL
+ * @param {Array<Object>} profiles
+ * @param {string} url
+ * @returns {Object|null}
+ */
+export function findProfileForUrl(profiles, url) {
+  return profiles.reduce((best, profile) => {
+    const score = matchProfile(profile, url);
+    return score > best.score ? { profile, score } : best;
+  }, { profile: null, score: 0 }).profile;
+}
+
+/**
+ * Parses "Name: value" lines into a headers object
+ * @param {string} text
+ * @returns {{ headers: Object<string, string>, invalid: Array<string> }}
+ */
+export function parseHeaderLines(text = '') {
+  const headers = {};
+  const invalid = [];
+  text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+    if (!HEADER_NAME.test(name)) {
+      invalid.push(line);
+      return;
+    }
+    headers[name] = line.slice(separator + 1).trim();
+  });
+  return { headers, invalid };
+}
+
+/**
+ * Turns a profile into the `auth` option the server fetches pages with
+ * @param {Object} profile
+ * @returns {{ headers: Object<string, string>, cookie?: string }|null}
+ */
+export function getProfileAuth(profile) {
+  if (!profile) return null;
+
+  const headers = { ...profile.headers };
+  if (profile.bearerToken) {
+    headers.Authorization = `Bearer ${profile.bearerToken}`;
+  }
+  const cookie = profile.cookie?.trim();
+
+  if (Object.keys(headers).length === 0 && !cookie) return null;
+  return { headers, ...(cookie && { cookie }) };
+}
+
+/**
+ * Creates the store of credential profiles for intranet and wiki pages.
+ * Profiles live encrypted in IndexedDB and are only decrypted in memory.
+ */
+function createCredentialProfilesStore() {
+  const store = writable([]);
+  const { subscribe, set, update } = store;
+  let loadPromise = null;
+
+  const sortProfiles = (profiles) => [...profiles].sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    subscribe,
+
+    /**
+     * Whether profiles can be stored in this browser
+     */
+    isSupported: () => browser && credentialService.isSupported(),
+
+    /**
+     * Decrypts the stored profiles
+     */
+    load() {
+      if (!browser || !credentialService.isSupported()) return Promise.resolve();
+      if (!loadPromise) {
+        loadPromise = credentialService.getProfiles()
+          .then(profiles => set(sortProfiles(profiles)))
+          .catch(error => {
+            loadPromise = null;
+            console.error('🔐 Failed to load credential profiles:', error);
+          });
+      }
+      return loadPromise;
+    },
+
+    /**
+     * Creates or updates a profile
+     * @param {Object} profile
+     * @param {string} profile.name
+     * @param {'domain'|'prefix'} profile.scope - Match a domain and its subdomains, or a URL prefix
+     * @param {string} profile.match - Domain or URL prefix
+     * @param {string} [profile.bearerToken]
+     * @param {string} [profile.cookie] - Cookie header value
+     * @param {Object<string, string>} [profile.headers]
+     * @returns {Promise<Object>} The saved profile
+     */
+    async saveProfile(profile) {
+      const saved = {
+        headers: {},
+        ...profile,
+        id: profile.id || uuidv4(),
+        updatedAt: new Date().toISOString()
+      };
+      await credentialService.saveProfile(saved);
+      update(profiles => sortProfiles([...profiles.filter(existing => existing.id !== saved.id), saved]));
+      return saved;
+    },
+
+    /**
+     * Deletes a profile
+     * @param {string} id
+     */
+    async removeProfile(id) {
+      await credentialService.deleteProfile(id);
+      update(profiles => profiles.filter(profile => profile.id !== id));
+    },
+
+    /**
+     * Resolves the credentials an item is fetched with
+     * @param {Object} item - URL item; `credentialProfile` is a profile id, AUTO_PROFILE or NO_PROFILE
+     * @param {string} url - Canonical URL of the item
+     * @returns {Promise<Object|null>} The `auth` option, or null
+     */
+    async resolveAuth(item, url) {
+      const choice = item.credentialProfile || AUTO_PROFILE;
+      if (choice === NO_PROFILE) return null;
+
+      await this.load();
+      const profiles = get(store);
+      const profile = choice === AUTO_PROFILE
+        ? findProfileForUrl(profiles, url)
+        : profiles.find(candidate => candidate.id === choice);
+      return getProfileAuth(profile);
+    }
+  };
+}
+
+export const credentialProfiles = createCredentialProfilesStore();
@@ -3,12 +3,14 @@
 import { writable, derived } from 'svelte/store';
 import { v4 as uuidv4 } from 'uuid';
 import { requiresApiKey } from '$lib/utils/fileUtils.js';
+import { getUrlDedupeKey } from '$lib/utils/urlUtils.js';
 import { browser } from '$app/environment';
 
 // Create and export the stores
 export const files = createFilesStore();
 
 // Clear any stored files data on page load
+// (in-flight jobs are restored from the jobs store instead)
 if (browser) {
     // Clear any stored files data
     localStorage.removeItem('obsidian_converter_files');
@@ -26,6 +28,7 @@ export const currentFileType = derived(files, $files => {
 export const FileStatus = {
     READY: 'ready',
     UPLOADING: 'uploading',
+    RETRYING: 'retrying',
     CONVERTING: 'converting',
     COMPLETED: 'completed',
     ERROR: 'error'
@@ -65,18 +68,31 @@ const FileUtils = {
         };
     },
 
+    /**
+     * Gets the key URLs are compared by, falling back to the raw URL
+     */
+    urlKey(url) {
+        try {
+            return getUrlDedupeKey(url);
+        } catch {
+            return url;
+        }
+    },
+
     /**
      * Checks for duplicate files considering URL and type
      * For URLs, we only consider them duplicate if they have the same type (parent/single)
      */
     isDuplicate(files, newFile) {
+        const newKey = newFile.url && this.urlKey(newFile.url);
         return files.some(f => {
-            // For URL-based files
+            // For URL-based files, tracking parameters, fragments and trailing slashes are ignored
             if (f.url && newFile.url) {
-                return f.url === newFile.url && f.type === newFile.type;
+                return this.urlKey(f.url) === newKey && f.type === newFile.type;
             }
-            // For regular files
-            return f.name && newFile.name && f.name === newFile.name && f.type === newFile.type;
+            // For regular files; files from different folders may share a name
+            return f.name && newFile.name && f.name === newFile.name && f.type === newFile.type &&
+                (f.relativePath || '') === (newFile.relativePath || '');
         });
     },
 
@@ -124,7 +140,7 @@ function createFilesStore() {
     function hasFile(url) {
         let found = false;
         update(files => {
-            found = files.some(file => file.url === url);
+            found = files.some(file => file.url && FileUtils.urlKey(file.url) === FileUtils.urlKey(url));
             console.log('Checking if file exists with URL:', url, 'Found:', found);
             return files;
         });
@@ -159,19 +175,25 @@ function createFilesStore() {
             // Special handling for parent URLs - check if it exists as a single URL
             if (newFile.type === 'parent') {
                 const existingFile = files.find(f => 
-                    f.url === newFile.url && f.type === 'url'
+                    f.url && FileUtils.urlKey(f.url) === FileUtils.urlKey(newFile.url) && f.type === 'url'
                 );
                 if (existingFile) {
                     console.log('[filesStore] Converting single URL to parent:', existingFile.name);
-                    const updatedFiles = files.map(f => 
-                        f.id === existingFile.id 
-                            ? {...f, type: 'parent', name: `${f.name} (Parent)`}
-                            : f
-                    );
+                    // The page selection, options and login of the new item win
+                    const converted = FileUtils.withTimestamp({
+                        ...existingFile,
+                        type: 'parent',
+                        name: `${existingFile.name} (Parent)`,
+                        options: { ...existingFile.options, ...newFile.options },
+                        ...(newFile.urls && { urls: newFile.urls }),
+                        ...(newFile.credentialProfile && { credentialProfile: newFile.credentialProfile })
+                    });
+                    const updatedFiles = files.map(f => f.id === existingFile.id ? converted : f);
                     return {
                         files: updatedFiles,
                         result: FileUtils.createResult(true, 
-                            'URL converted to parent successfully'
+                            'URL converted to parent successfully',
+                            converted
                         )
                     };
                 }
@@ -200,6 +222,39 @@ function createFilesStore() {
             });
         }),
 
+        /**
+         * Adds several files at once, skipping duplicates of existing files and of each other
+         * @returns {Object} Result with the `added` files and the number `skipped`
+         */
+        addFiles: createAction('addFiles', (newFiles) => {
+            return updateFiles(files => {
+                const added = [];
+                let skipped = 0;
+
+                newFiles.forEach(file => {
+                    const newFile = FileUtils.createFileObject(file);
+                    if (FileUtils.isDuplicate([...files, ...added], newFile)) {
+                        skipped++;
+                    } else {
+                        added.push(newFile);
+                    }
+                });
+
+                console.log(`[filesStore] Adding ${added.length} files, ${skipped} duplicates skipped`);
+                return {
+                    files: [...files, ...added],
+                    result: {
+                        ...FileUtils.createResult(true,
+                            `Added ${added.length} item${added.length === 1 ? '' : 's'}` +
+                                (skipped ? `, skipped ${skipped} duplicate${skipped === 1 ? '' : 's'}` : '')
+                        ),
+                        added,
+                        skipped
+                    }
+                };
+            });
+        }),
+
         /**
          * Updates a file in the store
          */
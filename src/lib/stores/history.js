@@ -0,0 +1,122 @@
+// src/lib/stores/history.js
+
+import { writable } from 'svelte/store';
+import { browser } from '$app/environment';
+import { v4 as uuidv4 } from 'uuid';
+import { CONFIG } from '$lib/config';
+import { database, STORES } from '$lib/services/database.js';
+
+/**
+ * Creates the conversion history store, backed by IndexedDB.
+ * Entries keep the result blob so past conversions can be downloaded again,
+ * and source files up to CONFIG.HISTORY.MAX_SOURCE_SIZE so they can be re-run.
+ */
+function createHistoryStore() {
+  const { subscribe, set, update } = writable([]);
+  let loaded = false;
+
+  const sortEntries = (entries) =>
+    [...entries].sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+
+  return {
+    subscribe,
+
+    /**
+     * Loads stored entries from IndexedDB
+     */
+    async load() {
+      if (!browser || loaded) return;
+      try {
+        const entries = await database.getAll(STORES.HISTORY);
+        set(sortEntries(entries));
+        loaded = true;
+      } catch (error) {
+        console.error('🕘 Failed to load conversion history:', error);
+      }
+    },
+
+    /**
+     * Records a finished conversion
+     * @param {Object} entry
+     * @param {Object} entry.item - The converted item
+     * @param {string} entry.jobId - Server job ID
+     * @param {Blob} entry.blob - The conversion result
+     * @param {string} [entry.contentType] - MIME type of the result
+     */
+    async addEntry({ item, jobId, blob, contentType }) {
+      if (!browser) return null;
+
+      const source = item.file instanceof Blob ? item.file : null;
+      const keepSource = source !== null && source.size <= CONFIG.HISTORY.MAX_SOURCE_SIZE;
+      const record = {
+        id: uuidv4(),
+        jobId,
+        name: item.name,
+        sourceType: item.type,
+        source: item.url || item.file?.name || item.name,
+        // Pages picked for a crawl and the credential profile id are needed to re-run URLs
+        ...(item.urls && { urls: item.urls }),
+        ...(item.credentialProfile && { credentialProfile: item.credentialProfile }),
+        // Keep the original file so the conversion can be re-run
+        sourceFile: keepSource ? source : null,
+        sourceSize: source?.size ?? null,
+        sourceOmitted: source !== null && !keepSource,
+        options: item.options || {},
+        completedAt: new Date().toISOString(),
+        blob,
+        contentType: contentType || blob?.type || ''
+      };
+
+      try {
+        try {
+          await database.put(STORES.HISTORY, record);
+        } catch (error) {
+          if (error?.name !== 'QuotaExceededError' || !record.sourceFile) throw error;
+          // Out of storage: keep the entry without its source
+          console.warn('🕘 Storage is full, saving history entry without its source file');
+          record.sourceFile = null;
+          record.sourceOmitted = true;
+          await database.put(STORES.HISTORY, record);
+        }
+        let overflow = [];
+        update(entries => {
+          const sorted = sortEntries([record, ...entries]);
+          overflow = sorted.slice(CONFIG.HISTORY.MAX_ENTRIES);
+          return sorted.slice(0, CONFIG.HISTORY.MAX_ENTRIES);
+        });
+        await Promise.all(overflow.map(entry => database.delete(STORES.HISTORY, entry.id)));
+        return record;
+      } catch (error) {
+        console.error('🕘 Failed to save conversion history entry:', error);
+        return null;
+      }
+    },
+
+    /**
+     * Deletes a single entry
+     * @param {string} id
+     */
+    async removeEntry(id) {
+      try {
+        await database.delete(STORES.HISTORY, id);
+        update(entries => entries.filter(entry => entry.id !== id));
+      } catch (error) {
+        console.error('🕘 Failed to delete conversion history entry:', error);
+      }
+    },
+
+    /**
+     * Deletes all entries
+     */
+    async clear() {
+      try {
+        await database.clear(STORES.HISTORY);
+        set([]);
+      } catch (error) {
+        console.error('🕘 Failed to clear conversion history:', error);
+      }
+    }
+  };
+}
+
+export const history = createHistoryStore();
@@ -5,3 +5,6 @@ export { files } from './files.js';
 export { conversionStatus } from './conversionStatus.js';
 export { uploadStore } from './uploadStore.js';
 export { paymentStore } from './payment.js';
+export { history } from './history.js';
+export { jobs } from './jobs.js';
+export { queue, itemPhases } from './queue.js';
@@ -0,0 +1,101 @@
+// src/lib/stores/jobs.js
+
+import { writable, get } from 'svelte/store';
+import { browser } from '$app/environment';
+import { CONFIG } from '$lib/config';
+
+/**
+ * Reads persisted jobs, dropping any older than the recovery window
+ */
+function loadJobs() {
+  if (!browser) return {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE.JOBS)) || {};
+    const cutoff = Date.now() - CONFIG.JOBS.RECOVERY_WINDOW;
+    return Object.fromEntries(
+      Object.entries(stored).filter(([, job]) => new Date(job.createdAt).getTime() > cutoff)
+    );
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Creates the store of server jobs started from this browser.
+ * It is persisted so in-flight jobs can be picked up again after a reload.
+ * Only item metadata is kept; File objects cannot be serialized.
+ */
+function createJobsStore() {
+  const { subscribe, update, set } = writable(loadJobs());
+
+  const persist = (jobs) => {
+    if (browser) {
+      localStorage.setItem(CONFIG.STORAGE.JOBS, JSON.stringify(jobs));
+    }
+    return jobs;
+  };
+
+  return {
+    subscribe,
+
+    /**
+     * Records a job started for an item
+     * @param {Object} item - The prepared item
+     * @param {string} jobId - Server job ID
+     */
+    trackJob: (item, jobId) => update(jobs => persist({
+      ...jobs,
+      [jobId]: {
+        jobId,
+        itemId: item.id,
+        name: item.name,
+        type: item.type,
+        url: item.url || null,
+        fileName: item.file?.name || null,
+        options: item.options || {},
+        // Items covered by a batch job
+        members: item.members?.map(({ id, name, type, url, options }) => ({
+          id, name, type, url: url || null, options: options || {}
+        })),
+        status: 'processing',
+        progress: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    })),
+
+    /**
+     * Updates a tracked job
+     * @param {string} jobId
+     * @param {Object} data - Fields to merge into the job
+     */
+    updateJob: (jobId, data) => update(jobs => {
+      if (!jobs[jobId]) return jobs;
+      return persist({
+        ...jobs,
+        [jobId]: { ...jobs[jobId], ...data, updatedAt: new Date().toISOString() }
+      });
+    }),
+
+    /**
+     * Stops tracking a job once its result has been handled
+     * @param {string} jobId
+     */
+    removeJob: (jobId) => update(jobs => {
+      const { [jobId]: removed, ...rest } = jobs;
+      return persist(rest);
+    }),
+
+    /**
+     * Returns jobs that have not been downloaded yet
+     * @returns {Array<Object>}
+     */
+    getActiveJobs() {
+      return Object.values(get({ subscribe }));
+    },
+
+    clear: () => set(persist({}))
+  };
+}
+
+export const jobs = createJobsStore();
@@ -0,0 +1,51 @@
+// src/lib/stores/queue.js
+
+import { derived } from 'svelte/store';
+import conversionQueue from '$lib/services/conversionQueue.js';
+import { files } from './files.js';
+
+/**
+ * State of the conversion queue ({ paused, concurrency, items }) with its controls
+ */
+export const queue = {
+  subscribe: conversionQueue.state.subscribe,
+  pause: () => conversionQueue.pause(),
+  resume: () => conversionQueue.resume(),
+  prioritize: (id) => conversionQueue.prioritize(id),
+  setConcurrency: (concurrency) => conversionQueue.setConcurrency(concurrency)
+};
+
+export const PHASE_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  retrying: 'Retrying',
+  processing: 'Processing',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Works out which stage an item is in from its file status and its queue task
+ * @returns {string|null} 'queued' | 'uploading' | 'retrying' | 'processing' | 'done' | 'failed' | 'cancelled', or null before conversion
+ */
+export function getItemPhase(file, task) {
+  if (file.status === 'completed') return 'done';
+  if (file.status === 'error') return 'failed';
+  if (file.status === 'cancelled') return 'cancelled';
+  // Batch items upload together, outside the per-item queue tasks
+  if (file.status === 'uploading' || file.status === 'retrying') return file.status;
+  if (task?.status === 'queued') return 'queued';
+  if (task?.status === 'running') {
+    return file.status === 'retrying' ? 'retrying' : 'uploading';
+  }
+  if (file.jobId && file.status === 'converting') return 'processing';
+  return null;
+}
+
+/**
+ * Map of item ID to its current stage, for lists showing conversion progress
+ */
+export const itemPhases = derived([files, queue], ([$files, $queue]) =>
+  Object.fromEntries($files.map(file => [file.id, getItemPhase(file, $queue.items[file.id])]))
+);
@@ -0,0 +1,47 @@
+// src/lib/stores/supportedTypes.js
+
+import { writable, get } from 'svelte/store';
+import { browser } from '$app/environment';
+import client from '$lib/api/client.js';
+import { getExtension, getSupportedExtensions } from '$lib/utils/fileTypes.js';
+
+/**
+ * Creates the store of file extensions that can be uploaded.
+ * It starts with the whole file-type registry and is narrowed to what the
+ * backend reports once `load()` succeeds. Extensions the registry does not
+ * know are ignored, since there is nothing to validate or display them with.
+ */
+function createSupportedTypesStore() {
+  const { subscribe, set } = writable(getSupportedExtensions());
+  let loaded = false;
+
+  return {
+    subscribe,
+
+    /**
+     * Fetches the backend's supported list, keeping the registry on failure
+     */
+    async load() {
+      if (!browser || loaded) return;
+      try {
+        const reported = await client.getSupportedTypes();
+        const known = getSupportedExtensions().filter(extension => reported.includes(extension));
+        if (known.length > 0) {
+          set(known);
+        }
+        loaded = true;
+      } catch (error) {
+        console.warn('📄 Could not fetch supported file types, using the built-in list:', error);
+      }
+    },
+
+    /**
+     * Checks a file, file name or extension against the current list
+     * @param {File|Object|string} file
+     * @returns {boolean}
+     */
+    isSupported: (file) => get({ subscribe }).includes(getExtension(file))
+  };
+}
+
+export const supportedTypes = createSupportedTypesStore();
@@ -12,11 +12,11 @@ function createUploadStore() {
     activeTab: 'single',
     dragOver: false,
     urlInput: '',
-    // youtubeUrlInput: '',
     errorMessage: '',
     message: '',
     messageType: '',
-    feedbackTimeout: null
+    feedbackTimeout: null,
+    preprocessMedia: false
   });
 
   return {
@@ -24,7 +24,7 @@ function createUploadStore() {
     setActiveTab: (tab) => update(state => ({ ...state, activeTab: tab })),
     setDragOver: (value) => update(state => ({ ...state, dragOver: value })),
     setUrlInput: (value) => update(state => ({ ...state, urlInput: value })),
-    // setYoutubeInput: (value) => update(state => ({ ...state, youtubeUrlInput: value })),
+    setPreprocessMedia: (value) => update(state => ({ ...state, preprocessMedia: value })),
     setError: (message) => update(state => ({ ...state, errorMessage: message })),
     clearError: () => update(state => ({ ...state, errorMessage: '' })),
     setMessage: (message, type = 'info') => update(state => ({ 
@@ -41,11 +41,11 @@ function createUploadStore() {
       activeTab: 'single',
       dragOver: false,
       urlInput: '',
-      // youtubeUrlInput: '',
       errorMessage: '',
       message: '',
       messageType: '',
-      feedbackTimeout: null
+      feedbackTimeout: null,
+      preprocessMedia: false
     })
   };
 }
@@ -0,0 +1,45 @@
+// src/lib/stores/vaultSettings.js
+
+import { writable } from 'svelte/store';
+import { browser } from '$app/environment';
+import { CONFIG } from '$lib/config';
+
+const DEFAULT_SETTINGS = {
+  subfolder: CONFIG.VAULT.DEFAULT_SUBFOLDER,
+  conflictStrategy: CONFIG.VAULT.DEFAULT_CONFLICT_STRATEGY,
+  attachmentMode: 'obsidian' // 'obsidian' follows the vault's settings, 'keep' keeps the result layout
+};
+
+function loadSettings() {
+  if (!browser) return { ...DEFAULT_SETTINGS };
+  try {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...JSON.parse(localStorage.getItem(CONFIG.STORAGE.VAULT_SETTINGS))
+    };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Creates the store for "Save to vault" preferences
+ */
+function createVaultSettingsStore() {
+  const { subscribe, update, set } = writable(loadSettings());
+
+  const persist = (settings) => {
+    if (browser) {
+      localStorage.setItem(CONFIG.STORAGE.VAULT_SETTINGS, JSON.stringify(settings));
+    }
+    return settings;
+  };
+
+  return {
+    subscribe,
+    setSetting: (key, value) => update(settings => persist({ ...settings, [key]: value })),
+    reset: () => set(persist({ ...DEFAULT_SETTINGS }))
+  };
+}
+
+export const vaultSettings = createVaultSettingsStore();
@@ -0,0 +1,70 @@
+// src/lib/utils/clipboard.js
+
+import { couldBeValidUrl } from './urlUtils.js';
+
+// Names browsers give screenshots and copied images
+const GENERIC_IMAGE_NAME = /^image\.\w+$/i;
+
+/**
+ * Checks if a paste is aimed at a text field, which should keep its normal behaviour
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+export function isEditableTarget(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Gives pasted images a name that tells screenshots apart
+ * @param {File} file
+ * @returns {File}
+ */
+function nameClipboardFile(file) {
+    if (file.name && !GENERIC_IMAGE_NAME.test(file.name)) return file;
+
+    const extension = file.type.split('/')[1]?.replace('jpeg', 'jpg') || 'png';
+    const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+    return new File([file], `Pasted image ${timestamp}.${extension}`, {
+        type: file.type,
+        lastModified: Date.now()
+    });
+}
+
+/**
+ * Reads the URLs from pasted text when that is all it contains
+ * @private
+ */
+function readUrls(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    return lines.length > 0 && lines.every(couldBeValidUrl) ? lines : [];
+}
+
+/**
+ * Sorts out what was pasted. Files win over everything else, then text that
+ * consists only of links, then rich HTML.
+ *
+ * @param {DataTransfer} clipboardData
+ * @returns {{ kind: 'files'|'urls'|'html'|'text'|'empty', files?: Array<File>, urls?: Array<string>, html?: string, text?: string }}
+ */
+export function readClipboard(clipboardData) {
+    if (!clipboardData) return { kind: 'empty' };
+
+    const files = Array.from(clipboardData.files || []);
+    if (files.length > 0) {
+        return { kind: 'files', files: files.map(nameClipboardFile) };
+    }
+
+    const text = clipboardData.getData('text/plain') || '';
+    const urls = readUrls(clipboardData.getData('text/uri-list') || text);
+    if (urls.length > 0) {
+        return { kind: 'urls', urls };
+    }
+
+    const html = clipboardData.getData('text/html');
+    if (html?.trim()) {
+        return { kind: 'html', html, text };
+    }
+
+    return text.trim() ? { kind: 'text', text } : { kind: 'empty' };
+}
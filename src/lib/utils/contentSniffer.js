@@ -0,0 +1,221 @@
+// src/lib/utils/contentSniffer.js
+
+import { getExtension } from './fileTypes.js';
+
+const HEAD_SIZE = 4096;
+const ZIP_TAIL_SIZE = 64 * 1024;
+
+// Extensions sharing a container, which the magic bytes alone cannot tell apart
+const FAMILIES = [
+    ['mp4', 'm4a', 'mov'],
+    ['webm', 'mkv'],
+    ['html', 'htm']
+];
+
+// Plain-text formats; any bytes are valid in them, so their content is never sniffed
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'html', 'htm'];
+
+// Byte order marks of UTF-8, UTF-16 LE and UTF-16 BE text
+const TEXT_BOMS = [[0xEF, 0xBB, 0xBF], [0xFF, 0xFE], [0xFE, 0xFF]];
+
+// What may precede a PDF header: whitespace, control characters and non-ASCII bytes, but no text
+const PDF_PREFIX = /^[\x00-\x20\x7F-\xFF]*$/;
+
+// `mimetype` entry that EPUB and OpenDocument files store first, uncompressed
+const ZIP_MIMETYPES = {
+    epub: 'application/epub+zip',
+    odt: 'application/vnd.oasis.opendocument.text'
+};
+
+// Top-level folder of each Office Open XML format
+const OFFICE_FOLDERS = {
+    docx: 'word/',
+    xlsx: 'xl/',
+    pptx: 'ppt/'
+};
+
+const TYPE_LABELS = {
+    pdf: 'a PDF document',
+    docx: 'a Word document',
+    xlsx: 'an Excel spreadsheet',
+    pptx: 'a PowerPoint presentation',
+    odt: 'an OpenDocument text',
+    epub: 'an EPUB book',
+    rtf: 'an RTF document',
+    zip: 'a ZIP archive',
+    mp3: 'an MP3 audio file',
+    wav: 'a WAV audio file',
+    mp4: 'an MP4 video',
+    m4a: 'an M4A audio file',
+    mov: 'a QuickTime video',
+    webm: 'a WebM video',
+    mkv: 'a Matroska video'
+};
+
+/**
+ * Reads part of a file as bytes
+ * @private
+ */
+async function readBytes(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Decodes bytes as Latin-1, so every byte maps to one character
+ * @private
+ */
+function toText(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Checks for an ASCII signature at an offset
+ * @private
+ */
+function hasSignature(bytes, signature, offset = 0) {
+    return signature.split('').every((char, index) => bytes[offset + index] === char.charCodeAt(0));
+}
+
+/**
+ * Tells the ZIP-based formats apart: EPUB and OpenDocument by their mimetype entry,
+ * Office formats by the folder names in the archive.
+ * The central directory at the end lists every entry; the first local header is read as well
+ * for archives whose central directory is out of reach.
+ * @private
+ */
+async function sniffZip(file, head) {
+    const headText = toText(head);
+    const packaged = Object.entries(ZIP_MIMETYPES).find(([, mimeType]) => headText.includes(mimeType));
+    if (packaged) return packaged[0];
+
+    const tail = file.size > HEAD_SIZE
+        ? toText(await readBytes(file, Math.max(0, file.size - ZIP_TAIL_SIZE), file.size))
+        : '';
+    const names = headText + tail;
+
+    const match = Object.entries(OFFICE_FOLDERS).find(([, folder]) => names.includes(folder));
+    return match ? match[0] : 'zip';
+}
+
+/**
+ * Reads the brand of an ISO media file (MP4, M4A, MOV)
+ * @private
+ */
+function sniffIsoMedia(head) {
+    const brand = toText(head.slice(8, 12));
+    if (brand.startsWith('M4A') || brand.startsWith('M4B')) return 'm4a';
+    if (brand === 'qt  ') return 'mov';
+    return 'mp4';
+}
+
+/**
+ * Reads the EBML doc type of a WebM or Matroska file
+ * @private
+ */
+function sniffEbml(head) {
+    const text = toText(head);
+    if (text.includes('webm')) return 'webm';
+    if (text.includes('matroska')) return 'mkv';
+    return null;
+}
+
+/**
+ * Checks for an MPEG audio frame header (MPEG 1, 2 or 2.5, layer I–III)
+ * with a valid bitrate and sample rate
+ * @private
+ */
+function isMpegAudioFrame(head) {
+    return head[0] === 0xFF && (head[1] & 0xE0) === 0xE0 && (head[1] & 0x06) !== 0 &&
+        (head[2] >> 4) !== 0x0F && ((head[2] >> 2) & 0x03) !== 0x03;
+}
+
+/**
+ * Checks for a text byte order mark
+ * @private
+ */
+function hasTextBom(head) {
+    return TEXT_BOMS.some(bom => bom.every((byte, index) => head[index] === byte));
+}
+
+/**
+ * Finds a PDF header at the start, or after junk that is not text, within the first KB
+ * @private
+ */
+function isPdf(head) {
+    const text = toText(head.slice(0, 1024));
+    const index = text.indexOf('%PDF-');
+    return index !== -1 && PDF_PREFIX.test(text.slice(0, index));
+}
+
+/**
+ * Checks if a blob is a ZIP archive by its signature, whatever MIME type it was given
+ *
+ * @param {Blob} blob
+ * @returns {Promise<boolean>}
+ */
+export async function isZipFile(blob) {
+    if (!blob?.size) return false;
+    return hasSignature(await readBytes(blob, 0, 4), 'PK\x03\x04');
+}
+
+/**
+ * Detects a file's type from its first bytes.
+ * Knows PDF, RTF, ZIP-based Office, OpenDocument and EPUB formats, MP3, WAV, MP4 and WebM.
+ *
+ * @param {Blob} file
+ * @returns {Promise<string|null>} The extension matching the content, or null when unknown
+ */
+export async function sniffFileType(file) {
+    if (!file?.size) return null;
+
+    const head = await readBytes(file, 0, HEAD_SIZE);
+
+    // Text with a byte order mark, e.g. a UTF-16 CSV, can look like an MP3 frame
+    if (hasTextBom(head)) return null;
+    // Some PDF writers put junk before the header; readers accept it within the first KB
+    if (isPdf(head)) return 'pdf';
+    if (hasSignature(head, '{\\rtf')) return 'rtf';
+    if (hasSignature(head, 'PK\x03\x04')) return sniffZip(file, head);
+    if (hasSignature(head, 'ID3') || isMpegAudioFrame(head)) return 'mp3';
+    if (hasSignature(head, 'RIFF') && hasSignature(head, 'WAVE', 8)) return 'wav';
+    if (hasSignature(head, 'ftyp', 4)) return sniffIsoMedia(head);
+    if (head[0] === 0x1A && head[1] === 0x45 && head[2] === 0xDF && head[3] === 0xA3) return sniffEbml(head);
+
+    return null;
+}
+
+/**
+ * Checks if two extensions describe the same kind of content
+ * @private
+ */
+function isSameType(extension, detected) {
+    return extension === detected ||
+        FAMILIES.some(family => family.includes(extension) && family.includes(detected));
+}
+
+/**
+ * Compares a file's content with its extension.
+ * Files whose content is not recognised are given the benefit of the doubt.
+ *
+ * @param {File} file
+ * @returns {Promise<{ extension: string, detected: string|null, matches: boolean, message: string }>}
+ */
+export async function checkFileContent(file) {
+    const extension = getExtension(file);
+    let detected = null;
+
+    try {
+        // Text formats can contain anything, including another format's signature
+        detected = TEXT_EXTENSIONS.includes(extension) ? null : await sniffFileType(file);
+    } catch (error) {
+        console.warn(`🔍 Could not read ${file.name} for type detection:`, error);
+    }
+
+    const matches = !detected || isSameType(extension, detected);
+    return {
+        extension,
+        detected,
+        matches,
+        message: matches ? '' : `${file.name} looks like ${TYPE_LABELS[detected] || detected}, not a .${extension} file`
+    };
+}
@@ -6,10 +6,23 @@ import { apiKey } from '$lib/stores/apiKey.js';
 import { conversionStatus } from '$lib/stores/conversionStatus.js';
 import { paymentStore } from '$lib/stores/payment.js';
 import client, { ConversionError } from '$lib/api/client.js';
-import socketService from '$lib/services/socket.js';
+import jobTransport from '$lib/services/jobTransport.js';
+import conversionQueue from '$lib/services/conversionQueue.js';
 import FileSaver from 'file-saver';
 import { CONFIG } from '$lib/config'; 
 import { conversionResult } from '$lib/stores/conversionResult.js';
+import { history } from '$lib/stores/history.js';
+import { getItemOptions } from '$lib/stores/conversionOptions.js';
+import { vaultSettings } from '$lib/stores/vaultSettings.js';
+import { jobs } from '$lib/stores/jobs.js';
+import { supportedTypes } from '$lib/stores/supportedTypes.js';
+import { credentialProfiles } from '$lib/stores/credentialProfiles.js';
+import { addMocToResult } from '$lib/utils/mocBuilder.js';
+import { parseYoutubeUrl, getVideoUrl } from '$lib/utils/youtubeUtils.js';
+import { getFileTypeInfo, isPasteOnlyType } from '$lib/utils/fileTypes.js';
+import { canonicalizeUrl } from '$lib/utils/urlUtils.js';
+import { htmlToMarkdown } from '$lib/utils/htmlToMarkdown.js';
+import vaultService from '$lib/services/vault.js';
 
 /**
  * Utility function to read a file as base64
@@ -35,39 +48,69 @@ async function prepareItem(item) {
     const baseItem = {
       id: item.id,
       name: item.name,
-      options: {
-        includeImages: true,
-        includeMeta: true,
-        convertLinks: true
-      }
+      priority: item.priority || 0,
+      options: getItemOptions(item)
     };
 
     // Handle File type
     if (item.file instanceof File) {
       const fileExt = item.name.split('.').pop().toLowerCase();
+      const typeInfo = getFileTypeInfo(fileExt);
       const type = determineFileType(fileExt);
-      
-      // File size validation
-      if (item.file.size > CONFIG.CONVERSION.FILE_SIZE_LIMIT) {
-        throw ConversionError.validation(
-          `File size exceeds limit of ${CONFIG.CONVERSION.FILE_SIZE_LIMIT / (1024 * 1024)}MB`
-        );
-      }
 
-      // File type validation
-      if (!type) {
+      // File type validation, against the backend's list once it is known.
+      // Screenshots are only accepted when they were pasted.
+      const pastedImage = item.pasted && isPasteOnlyType(fileExt);
+      if (!type || (!pastedImage && !supportedTypes.isSupported(fileExt))) {
         throw ConversionError.validation(`Unsupported file type: ${fileExt}`);
       }
 
+      // File size validation (files above FILE_SIZE_LIMIT are uploaded in chunks)
+      if (item.file.size > typeInfo.maxSize) {
+        throw ConversionError.validation(
+          `File size exceeds limit of ${typeInfo.maxSize / (1024 * 1024)}MB`
+        );
+      }
+
       // Check if API key is required for this file type
-      if (CONFIG.FILES.API_REQUIRED.includes(fileExt) && !get(apiKey)) {
+      if (typeInfo.requiresApiKey && !get(apiKey)) {
         throw ConversionError.validation('API key is required for this file type');
       }
 
       return {
         ...baseItem,
         type,
-        file: item.file
+        file: item.file,
+        // Where the file sat in a dropped folder, mirrored in the merged result
+        ...(item.relativePath && { relativePath: item.relativePath })
+      };
+    }
+
+    // Pasted HTML is converted in the browser
+    if (item.type === 'snippet') {
+      if (!item.content?.trim()) {
+        throw ConversionError.validation(`Pasted snippet is empty: ${item.name}`);
+      }
+      return {
+        ...baseItem,
+        type: 'snippet',
+        content: item.content
+      };
+    }
+
+    // YouTube video IDs are case-sensitive, so these skip the URL normalization below
+    if (item.type === 'youtube') {
+      const videoId = parseYoutubeUrl(item.url || item.content)?.videoId;
+      if (!videoId) {
+        throw ConversionError.validation(`Not a YouTube video URL: ${item.name}`);
+      }
+
+      const videoUrl = getVideoUrl(videoId);
+      return {
+        ...baseItem,
+        type: 'youtube',
+        url: videoUrl,
+        content: videoUrl
       };
     }
 
@@ -76,24 +119,24 @@ async function prepareItem(item) {
       const rawUrl = item.url || item.content || item.name;
       let normalizedUrl;
       try {
-        const urlObj = new URL(rawUrl);
-        const normalizedPath = urlObj.pathname.replace(/\/+$/, '').toLowerCase();
-        urlObj.pathname = normalizedPath;
-        normalizedUrl = urlObj.href.toLowerCase();
+        normalizedUrl = canonicalizeUrl(rawUrl);
       } catch (error) {
         throw ConversionError.validation('Invalid URL format');
       }
 
+      // Kept out of `options`, which are persisted with jobs and history
+      const auth = await credentialProfiles.resolveAuth(item, normalizedUrl);
+
       return {
         ...baseItem,
         type: item.type === 'parent' ? 'parent' : 'url',
         url: normalizedUrl,
         content: normalizedUrl,
-        options: {
-          ...baseItem.options,
-          ...(item.type === 'parent' ? { depth: 1, maxPages: 10 } : {}),
-          ...item.options
-        }
+        // Pages picked in the crawl preview
+        ...(item.type === 'parent' && item.urls?.length && { urls: item.urls }),
+        // Tags from a bookmarks import
+        ...(item.tags?.length && { tags: item.tags }),
+        ...(auth && { auth })
       };
     }
 
@@ -106,16 +149,18 @@ async function prepareItem(item) {
 
 function determineFileType(extension) {
   if (!extension) return null;
-  
-  const categories = CONFIG.FILES.CATEGORIES;
-  const ext = extension.toLowerCase();
-  
-  if (categories.audio.includes(ext)) return 'audio';
-  if (categories.video.includes(ext)) return 'video';
-  if (categories.documents.includes(ext)) return 'document';
-  if (categories.data.includes(ext)) return 'data';
-  
-  return null; // Return null for unsupported types
+
+  const categoryTypes = {
+    audio: 'audio',
+    video: 'video',
+    documents: 'document',
+    // Pasted screenshots go through the document endpoint
+    images: 'document',
+    data: 'data'
+  };
+
+  // Return null for unsupported types
+  return categoryTypes[getFileTypeInfo(extension)?.category] || null;
 }
 
 /**
@@ -134,6 +179,313 @@ function prepareBatchItems(items) {
   }));
 }
 
+/**
+ * Resolves a download path from the server into an absolute URL
+ */
+function resolveDownloadUrl(downloadPath) {
+  // Extract the base domain without the /api/v1 path
+  const baseUrl = CONFIG.API.BASE_URL.replace(/\/api\/v1\/?$/, '');
+
+  // Ensure the download URL is absolute without duplicating /api/v1
+  return downloadPath.startsWith('http') ? downloadPath : `${baseUrl}${downloadPath}`;
+}
+
+/**
+ * Items covered by a job: the members of a batch job, or the item itself
+ */
+function getJobItems(item) {
+  return item.members || [item];
+}
+
+/**
+ * Applies the same update to every item covered by a job
+ */
+function updateJobItems(item, data) {
+  getJobItems(item).forEach(member => files.updateFile(member.id, data));
+}
+
+/**
+ * Fetches a finished job's result, stores it and records it in the history
+ */
+async function downloadJobResult(item, jobId, downloadPath) {
+  const downloadUrl = resolveDownloadUrl(downloadPath);
+  console.log('📥 Fetching from download URL:', downloadUrl);
+
+  try {
+    const response = await fetch(downloadUrl, { signal: client.getSignal(item.id) });
+    console.log('📦 Download response received:', {
+      status: response.status,
+      contentType: response.headers.get('Content-Type')
+    });
+
+    // An error page is not a result
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}`);
+    }
+
+    let blob = await response.blob();
+    console.log('📦 Blob created:', {
+      size: blob.size,
+      type: blob.type
+    });
+
+    if (item.type === 'parent') {
+      blob = await addMoc(item, blob);
+    }
+
+    // Collected with the results of the other jobs into one download
+    conversionResult.addResult({
+      blob,
+      contentType: blob.type,
+      item,
+      items: getJobItems(item)
+    });
+
+    updateJobItems(item, {
+      status: 'completed',
+      downloadUrl: downloadPath
+    });
+
+    console.log('✅ File status updated to completed');
+
+    history.addEntry({ item, jobId, blob, contentType: blob.type });
+  } catch (error) {
+    // Cancelled downloads are already marked by cancelItem
+    if (error.name === 'AbortError') return;
+
+    console.error('❌ Error downloading file:', error);
+    updateJobItems(item, {
+      status: 'error',
+      error: 'Failed to download converted file: ' + error.message
+    });
+  } finally {
+    getJobItems(item).forEach(member => client.releaseItem(member.id));
+    jobs.removeJob(jobId);
+    checkConversionComplete();
+  }
+}
+
+/**
+ * Adds the Map-of-Content note to a crawl result.
+ * The plain result is kept if the note cannot be built.
+ */
+async function addMoc(item, blob) {
+  try {
+    return await addMocToResult(blob, {
+      layout: item.options?.mocLayout ?? CONFIG.CONVERSION.DEFAULT_OPTIONS.mocLayout,
+      sourceUrl: item.url
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not build Map of Content:', error);
+    return blob;
+  }
+}
+
+/**
+ * Marks the conversion as finished once no item is still in flight
+ */
+function checkConversionComplete() {
+  const currentFiles = get(files);
+  const finished = ['completed', 'error', 'cancelled'];
+  if (currentFiles.length === 0 || !currentFiles.every(file => finished.includes(file.status))) {
+    return;
+  }
+
+  if (currentFiles.some(file => file.status === 'completed')) {
+    conversionStatus.update(state => ({ ...state, status: 'completed', progress: 100 }));
+  } else if (currentFiles.every(file => file.status === 'cancelled')) {
+    conversionStatus.setStatus('cancelled');
+  } else {
+    conversionStatus.setError('None of the items could be converted');
+  }
+}
+
+/**
+ * Converts a pasted HTML snippet to Markdown without a round trip to the server
+ * @param {Object} item - The prepared item
+ */
+function convertSnippet(item) {
+  try {
+    const { headingStyle, includeImages, includeMeta } = item.options;
+    let markdown = htmlToMarkdown(item.content, { headingStyle, includeImages });
+    if (includeMeta) {
+      markdown = `---\nsource: clipboard\ncreated: ${new Date().toISOString()}\n---\n\n${markdown}`;
+    }
+
+    const blob = new Blob([markdown], { type: 'text/markdown' });
+    conversionResult.addResult({ blob, contentType: blob.type, item, items: [item] });
+    files.updateFile(item.id, { status: 'completed', progress: 100 });
+    history.addEntry({ item, blob, contentType: blob.type });
+    console.log(`📋 Converted ${item.name} in the browser`);
+  } catch (error) {
+    console.error(`❌ Error converting ${item.name}:`, error);
+    files.updateFile(item.id, { status: 'error', error: error.message });
+  }
+  checkConversionComplete();
+}
+
+/**
+ * Handles a finished job by downloading its result
+ */
+function handleJobComplete(item, jobId, data) {
+  console.log('✅ Job complete callback received:', data);
+
+  // Download the file when it's ready
+  const downloadPath = data.downloadUrl || data.url || data.result?.downloadUrl || data.result?.url;
+  if (!data.downloadUrl) {
+    console.warn('⚠️ No download URL in completion data:', data);
+  }
+
+  if (downloadPath) {
+    downloadJobResult(item, jobId, downloadPath);
+  } else {
+    console.error('❌ No download URL found in completion data');
+    handleJobError(item, jobId, new Error('No download URL provided in completion data'));
+  }
+}
+
+/**
+ * Handles a failed job
+ */
+function handleJobError(item, jobId, error) {
+  getJobItems(item).forEach(member => client.releaseItem(member.id));
+  updateJobItems(item, {
+    status: 'error',
+    error: error?.message || 'Conversion failed'
+  });
+  jobs.removeJob(jobId);
+  checkConversionComplete();
+}
+
+/**
+ * Updates the overall progress from the progress of each item
+ */
+function updateOverallProgress() {
+  const currentFiles = get(files);
+  if (currentFiles.length === 0) return;
+  const total = currentFiles.reduce((sum, file) =>
+    sum + (file.status === 'completed' ? 100 : file.progress || 0), 0);
+  conversionStatus.setProgress(total / currentFiles.length);
+}
+
+/**
+ * Follows a job until it finishes, over the socket or by polling
+ * @param {Object} item - The prepared item
+ * @param {string} jobId - Server job ID
+ * @param {Object} [options] - Passed on to jobTransport.watch
+ */
+function watchJob(item, jobId, options = {}) {
+  return jobTransport.watch(jobId, {
+    onStatus: (data) => {
+      conversionStatus.update(status => ({
+        ...status,
+        [item.id]: {
+          ...status[item.id],
+          status: data.status,
+          message: data.message
+        }
+      }));
+      jobs.updateJob(jobId, { status: data.status });
+    },
+    onProgress: (data) => {
+      conversionStatus.update(status => ({
+        ...status,
+        [item.id]: {
+          ...status[item.id],
+          progress: data.progress
+        }
+      }));
+      jobs.updateJob(jobId, { progress: data.progress });
+      updateJobItems(item, { progress: data.progress });
+      updateOverallProgress();
+    },
+    onComplete: (data) => handleJobComplete(item, jobId, data),
+    onError: (error) => handleJobError(item, jobId, error)
+  }, { apiKey: get(apiKey), ...options });
+}
+
+/**
+ * Reattaches to jobs that were still running when the page was closed.
+ * Restores their items into the files store and checks each job's status
+ * right away, since it may have finished while the page was closed.
+ * @returns {number} Number of recovered jobs
+ */
+export function recoverJobs() {
+  const pending = jobs.getActiveJobs();
+  if (pending.length === 0) return 0;
+
+  console.log(`♻️ Recovering ${pending.length} in-flight job(s)`);
+
+  conversionStatus.reset();
+  conversionStatus.setStatus('processing');
+
+  pending.forEach(job => {
+    const item = { id: job.itemId, name: job.name, type: job.type, url: job.url, options: job.options };
+    if (job.members) item.members = job.members;
+
+    getJobItems(item).forEach(member => files.addFile({
+      id: member.id,
+      name: member.name,
+      type: member.type,
+      url: member.url,
+      options: member.options,
+      jobId: job.jobId,
+      status: 'converting',
+      progress: job.progress || 0
+    }));
+
+    watchJob(item, job.jobId, { checkNow: true });
+  });
+
+  return pending.length;
+}
+
+/**
+ * Callbacks that keep the files store in step with submissions.
+ * They are kept by the queue, so a retried item reports the same way.
+ */
+function createSubmitCallbacks() {
+  return {
+    onUploadProgress: (itemId, { uploadedChunks, totalChunks, progress }) => {
+      files.updateFile(itemId, {
+        status: 'uploading',
+        progress,
+        uploadedChunks,
+        totalChunks
+      });
+    },
+    onItemRetry: (itemId, { attempt, maxRetries, error }) => {
+      files.updateFile(itemId, {
+        status: 'retrying',
+        retryAttempt: attempt,
+        maxRetries,
+        error: error.message
+      });
+    },
+    onItemSubmitted: ({ jobId, item }) => {
+      // Cancelled while its submission was finishing
+      if (get(files).find(f => f.id === item.id)?.status === 'cancelled') {
+        jobTransport.cancel(jobId, { apiKey: get(apiKey) }).catch(error => reportCancelFailure([item], error));
+        return;
+      }
+      // Persist job IDs so they survive a reload, then follow their progress
+      jobs.trackJob(item, jobId);
+      updateJobItems(item, { status: 'converting', jobId });
+      watchJob(item, jobId);
+    },
+    onItemComplete: (itemId, success, error) => {
+      // Successful jobs are marked completed once their result is downloaded
+      if (!success && get(files).find(f => f.id === itemId)?.status !== 'cancelled') {
+        files.updateFile(itemId, {
+          status: 'error',
+          error: error?.message || null
+        });
+        checkConversionComplete();
+      }
+    }
+  };
+}
+
 /**
  * Starts the conversion process
  */
@@ -157,13 +509,14 @@ export async function startConversion() {
   conversionStatus.setStatus('converting');
 
   try {
-    // Ensure socket connection
-    if (!socketService.connected) {
-      socketService.connect();
-    }
-
     // Prepare items for conversion
-    const items = await prepareBatchItems(currentFiles);
+    const prepared = await prepareBatchItems(currentFiles);
+    prepared.forEach(item => files.updateFile(item.id, { status: 'converting', error: null }));
+
+    // Pasted snippets need no server
+    const items = prepared.filter(item => item.type !== 'snippet');
+    prepared.filter(item => item.type === 'snippet').forEach(convertSnippet);
+    if (items.length === 0) return;
     const itemCount = items.length;
 
     // Configure endpoint mapping
@@ -175,147 +528,15 @@ export async function startConversion() {
       return '/document/file';
     };
 
-    // Process items with socket-based progress tracking
-    const results = await client.processItems(items, currentApiKey, {
+    // Process items through the queue, following each job once it is submitted
+    await client.processItems(items, currentApiKey, {
       useBatch: itemCount > 1 && !items.every(item => item.type === 'document'),
       getEndpoint,
-      onProgress: (progress) => {
-        conversionStatus.setProgress(progress);
-      },
-      onItemComplete: (itemId, success, error) => {
-        files.updateFile(itemId, {
-          status: success ? 'completed' : 'error',
-          error: error?.message || null
-        });
-      }
+      ...createSubmitCallbacks()
     });
 
-    // Store job IDs and subscribe to socket updates
-    results.forEach(({ jobId, item }) => {
-      socketService.subscribeToJob(jobId, {
-        onStatus: (data) => {
-          conversionStatus.update(status => ({
-            ...status,
-            [item.id]: {
-              ...status[item.id],
-              status: data.status,
-              message: data.message
-            }
-          }));
-        },
-        onProgress: (data) => {
-          conversionStatus.update(status => ({
-            ...status,
-            [item.id]: {
-              ...status[item.id],
-              progress: data.progress
-            }
-          }));
-        },
-        onComplete: (data) => {
-          console.log('✅ Job complete callback received:', data);
-          
-          // Download the file when it's ready
-          if (data.downloadUrl) {
-            // Extract the base domain without the /api/v1 path
-            const baseUrl = CONFIG.API.BASE_URL.replace(/\/api\/v1\/?$/, '');
-            
-            // Ensure the download URL is absolute without duplicating /api/v1
-            const downloadUrl = data.downloadUrl.startsWith('http') 
-              ? data.downloadUrl 
-              : `${baseUrl}${data.downloadUrl}`;
-            
-            console.log('📥 Fetching from download URL:', downloadUrl);
-            
-            fetch(downloadUrl)
-              .then(response => {
-                console.log('📦 Download response received:', {
-                  status: response.status,
-                  contentType: response.headers.get('Content-Type')
-                });
-                return response.blob();
-              })
-              .then(blob => {
-                console.log('📦 Blob created:', {
-                  size: blob.size,
-                  type: blob.type
-                });
-                
-                conversionResult.setResult({
-                  blob,
-                  contentType: blob.type,
-                  items: [item]
-                });
-                
-                files.updateFile(item.id, {
-                  status: 'completed',
-                  downloadUrl: data.downloadUrl
-                });
-                
-                console.log('✅ File status updated to completed');
-              })
-              .catch(error => {
-                console.error('❌ Error downloading file:', error);
-                files.updateFile(item.id, {
-                  status: 'error',
-                  error: 'Failed to download converted file: ' + error.message
-                });
-              });
-          } else {
-            console.warn('⚠️ No download URL in completion data:', data);
-            
-            // Try to extract download URL from other properties if available
-            const possibleUrl = data.url || data.result?.downloadUrl || data.result?.url;
-            
-            if (possibleUrl) {
-              // Extract the base domain without the /api/v1 path
-              const baseUrl = CONFIG.API.BASE_URL.replace(/\/api\/v1\/?$/, '');
-              
-              // Ensure the alternative URL is absolute without duplicating /api/v1
-              const alternativeUrl = possibleUrl.startsWith('http') 
-                ? possibleUrl 
-                : `${baseUrl}${possibleUrl}`;
-              
-              console.log('🔍 Found alternative download URL:', alternativeUrl);
-              
-              fetch(alternativeUrl)
-                .then(response => response.blob())
-                .then(blob => {
-                  conversionResult.setResult({
-                    blob,
-                    contentType: blob.type,
-                    items: [item]
-                  });
-                  
-                  files.updateFile(item.id, {
-                    status: 'completed',
-                    downloadUrl: possibleUrl
-                  });
-                })
-                .catch(error => {
-                  console.error('❌ Error downloading from alternative URL:', error);
-                  files.updateFile(item.id, {
-                    status: 'error',
-                    error: 'Failed to download from alternative URL: ' + error.message
-                  });
-                });
-            } else {
-              console.error('❌ No download URL found in completion data');
-              files.updateFile(item.id, {
-                status: 'error',
-                error: 'No download URL provided in completion data'
-              });
-            }
-          }
-        },
-        onError: (error) => {
-          files.updateFile(item.id, {
-            status: 'error',
-            error: error.message
-          });
-        }
-      });
-    });
+    // Cancelled, or every job already finished while others were submitted
+    if (get(conversionStatus).status !== 'converting') return;
 
     // Update status with payment acknowledgment
     conversionStatus.setStatus('processing');
@@ -337,31 +558,41 @@ export async function startConversion() {
   }
 }
 
+/**
+ * Builds the download filename for a conversion result
+ * @param {string} contentType - MIME type of the result
+ * @param {string} [originalName] - Name of the converted item
+ */
+export function getResultFilename(contentType, originalName) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  // For single markdown files, use original filename with .md extension
+  if (contentType === 'text/markdown') {
+    return originalName ? 
+      `${originalName.replace(/\.[^/.]+$/, '')}.md` : 
+      `document_${timestamp}.md`;
+  }
+
+  // For zip files (multiple files or complex conversions)
+  return `conversion_${timestamp}.zip`;
+}
+
 /**
  * Triggers the download of the converted files
  */
 export function triggerDownload() {
   const result = get(conversionResult);
-  if (!result) {
+  if (!result?.blob) {
     console.error('No conversion result available');
     return;
   }
-
-  const { blob, contentType, items } = result;
-  let filename;
-
-  // For single markdown files, use original filename with .md extension
-  if (contentType === 'text/markdown') {
-    const originalName = items[0]?.name;
-    filename = originalName ? 
-      originalName.replace(/\.[^/.]+$/, '.md') : 
-      `document_${new Date().toISOString().replace(/[:.]/g, '-')}.md`;
-  } else {
-    // For zip files (multiple files or complex conversions)
-    filename = `conversion_${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
+  // A half-merged or stale result must not be saved, nor the files cleared
+  if (result.merging || result.mergeError) {
+    console.warn('🗂️ Download skipped, the combined result is not ready');
+    return;
   }
-  
-  FileSaver.saveAs(blob, filename);
+
+  FileSaver.saveAs(result.blob, getResultFilename(result.contentType, result.items[0]?.name));
   
   // Only clear files store after successful download
   const clearResult = files.clearFiles();
@@ -370,28 +601,180 @@ export function triggerDownload() {
   }
 }
 
+/**
+ * Saves the converted files into the user's Obsidian vault folder
+ * @returns {Promise<Object>} Summary of written, renamed and skipped files
+ */
+export async function saveToVault() {
+  const result = get(conversionResult);
+  if (!result?.blob) {
+    throw new Error('No conversion result available');
+  }
+  if (result.merging) {
+    throw new Error('Results are still being combined, try again in a moment');
+  }
+  if (result.mergeError) {
+    throw new Error(`Results could not be combined: ${result.mergeError}`);
+  }
+
+  const settings = get(vaultSettings);
+  const summary = await vaultService.saveResult(result.blob, {
+    contentType: result.contentType,
+    name: result.items[0]?.name,
+    ...settings
+  });
+
+  const clearResult = files.clearFiles();
+  if (!clearResult.success) {
+    console.warn('Failed to clear files store:', clearResult.message);
+  }
+  return summary;
+}
+
+/**
+ * Downloads a result stored in the conversion history
+ * @param {Object} entry - History entry
+ */
+export function downloadHistoryEntry(entry) {
+  if (!entry?.blob) {
+    console.error('History entry has no stored result');
+    return;
+  }
+  FileSaver.saveAs(entry.blob, getResultFilename(entry.contentType, entry.name));
+}
+
+/**
+ * Explains why a past conversion cannot be queued again
+ * @param {Object} entry - History entry
+ * @returns {string|null} The reason, or null when the entry can be re-run
+ */
+export function getRerunUnavailableReason(entry) {
+  if (entry.sourceFile || /^https?:\/\//i.test(entry.source)) return null;
+  if (entry.sourceOmitted) {
+    return 'The original file was too large to keep in history. Add it again to convert it.';
+  }
+  if (entry.sourceType === 'snippet') {
+    return 'Pasted snippets are not kept in history. Paste it again to convert it.';
+  }
+  return 'The original source of this conversion is no longer available';
+}
+
+/**
+ * Queues a past conversion again using its original source and options
+ * @param {Object} entry - History entry
+ * @returns {Object} Result of adding the item to the files store
+ */
+export function rerunHistoryEntry(entry) {
+  const reason = getRerunUnavailableReason(entry);
+  if (reason) {
+    return { success: false, message: reason };
+  }
+
+  if (entry.sourceFile) {
+    const file = entry.sourceFile instanceof File
+      ? entry.sourceFile
+      : new File([entry.sourceFile], entry.source, { type: entry.sourceFile.type });
+    return files.addFile({
+      name: file.name,
+      file,
+      type: file.name.split('.').pop().toLowerCase(),
+      options: entry.options
+    });
+  }
+
+  return files.addFile({
+    name: entry.name,
+    url: entry.source,
+    type: entry.sourceType,
+    options: entry.options,
+    ...(entry.urls && { urls: entry.urls }),
+    ...(entry.credentialProfile && { credentialProfile: entry.credentialProfile })
+  });
+}
+
+const IN_FLIGHT_STATUSES = ['uploading', 'retrying', 'converting', 'processing'];
+
+/**
+ * Keeps cancelled items cancelled here, but says the server may still be converting them
+ * @private
+ */
+function reportCancelFailure(items, error) {
+  console.error('🛑 Could not cancel the job on the server:', error);
+  items.forEach(item => {
+    files.updateFile(item.id, { error: `The server may still be converting this item: ${error.message}` });
+  });
+}
+
+/**
+ * Cancels a single item: aborts its upload or download and stops its server job
+ * @param {string} itemId - ID of the item in the files store
+ */
+export function cancelItem(itemId) {
+  const file = get(files).find(f => f.id === itemId);
+  if (!file) return;
+
+  client.cancelItem(itemId);
+
+  // Items of a batch job share it, so they are cancelled together
+  const affected = file.jobId
+    ? get(files).filter(f => f.jobId === file.jobId)
+    : [file];
+  if (file.jobId) {
+    jobTransport.cancel(file.jobId, { apiKey: get(apiKey) }).catch(error => reportCancelFailure(affected, error));
+    jobs.removeJob(file.jobId);
+  }
+
+  affected.forEach(f => {
+    if (IN_FLIGHT_STATUSES.includes(f.status)) {
+      files.updateFile(f.id, { status: 'cancelled', error: null });
+    }
+  });
+  checkConversionComplete();
+}
+
+/**
+ * Converts a failed or cancelled item again
+ * @param {string} itemId - ID of the item in the files store
+ */
+export async function retryItem(itemId) {
+  const file = get(files).find(f => f.id === itemId);
+  if (!file) return;
+
+  files.updateFile(itemId, { status: 'converting', progress: 0, error: null, jobId: null });
+  conversionStatus.update(state => ({ ...state, status: 'processing', error: null }));
+
+  // Submissions that failed in the queue run again with their original callbacks
+  if (conversionQueue.retry(itemId)) return;
+
+  // Jobs that failed on the server are submitted again
+  try {
+    const item = await prepareItem(file);
+    if (item.type === 'snippet') {
+      convertSnippet(item);
+      return;
+    }
+    await client.processItems([item], get(apiKey), createSubmitCallbacks());
+  } catch (error) {
+    console.error(`❌ Retry of ${file.name} failed:`, error);
+    files.updateFile(itemId, { status: 'error', error: error.message });
+    checkConversionComplete();
+  }
+}
+
 /**
  * Cancels the ongoing conversion process
  */
 export function cancelConversion() {
   conversionStatus.setStatus('cancelled');
-  client.cancelRequests();
-  
-  // Unsubscribe from all socket updates
-  const currentFiles = get(files);
-  currentFiles.forEach(file => {
-    if (file.jobId) {
-      socketService.unsubscribeFromJob(file.jobId);
+
+  get(files).forEach(file => {
+    if (IN_FLIGHT_STATUSES.includes(file.status)) {
+      cancelItem(file.id);
     }
   });
 
-  files.update(items => 
-    items.map(item => 
-      item.status === 'converting' 
-        ? { ...item, status: 'cancelled' } 
-        : item
-    )
-  );
+  // Anything submitted but not yet tracked by a file
+  client.cancelRequests();
 }
 
 /**
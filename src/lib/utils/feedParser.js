@@ -0,0 +1,187 @@
+// src/lib/utils/feedParser.js
+
+import { CONFIG } from '$lib/config';
+
+/**
+ * Gets the text of the first direct child element with one of the given local names
+ * @private
+ */
+function childText(element, ...names) {
+    const child = Array.from(element.children).find(node => names.includes(node.localName));
+    return child?.textContent.trim() || null;
+}
+
+/**
+ * Parses a date string, returning null when it is missing or invalid
+ * @private
+ */
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Gets the link of an Atom entry, preferring the alternate (HTML) link
+ * @private
+ */
+function atomLink(entry) {
+    const links = Array.from(entry.children).filter(node => node.localName === 'link');
+    const link = links.find(node => !node.getAttribute('rel') || node.getAttribute('rel') === 'alternate') || links[0];
+    return link?.getAttribute('href') || null;
+}
+
+/**
+ * Parses a sitemap, sitemap index, RSS or Atom document.
+ *
+ * @param {string} xml - Document text
+ * @param {string} [baseUrl] - URL the document came from, used to resolve relative links
+ * @returns {{ kind: string, title: string|null, entries: Array<Object>, sitemaps: Array<string> }}
+ *   Entries are { url, title, date }; sitemaps lists the children of a sitemap index
+ * @throws {Error} When the document is not one of the supported formats
+ */
+export function parseSource(xml, baseUrl) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The source is not valid XML');
+    }
+
+    const root = doc.documentElement;
+    const resolve = (url) => {
+        if (!url) return null;
+        try {
+            return new URL(url, baseUrl).href;
+        } catch {
+            return null;
+        }
+    };
+    const byName = (name) => Array.from(root.getElementsByTagNameNS('*', name));
+
+    switch (root.localName) {
+        case 'urlset':
+            return {
+                kind: 'sitemap',
+                title: null,
+                sitemaps: [],
+                entries: byName('url').map(node => ({
+                    url: resolve(childText(node, 'loc')),
+                    title: null,
+                    date: parseDate(childText(node, 'lastmod'))
+                }))
+            };
+
+        case 'sitemapindex':
+            return {
+                kind: 'sitemapindex',
+                title: null,
+                entries: [],
+                sitemaps: byName('sitemap').map(node => resolve(childText(node, 'loc'))).filter(Boolean)
+            };
+
+        case 'rss':
+        case 'RDF': {
+            const channel = byName('channel')[0];
+            return {
+                kind: 'rss',
+                title: channel ? childText(channel, 'title') : null,
+                sitemaps: [],
+                entries: byName('item').map(node => ({
+                    url: resolve(childText(node, 'link') || childText(node, 'guid')),
+                    title: childText(node, 'title'),
+                    date: parseDate(childText(node, 'pubDate', 'date', 'updated'))
+                }))
+            };
+        }
+
+        case 'feed':
+            return {
+                kind: 'atom',
+                title: childText(root, 'title'),
+                sitemaps: [],
+                entries: byName('entry').map(node => ({
+                    url: resolve(atomLink(node)),
+                    title: childText(node, 'title'),
+                    date: parseDate(childText(node, 'updated', 'published'))
+                }))
+            };
+
+        default:
+            throw new Error('Not a sitemap, RSS or Atom feed');
+    }
+}
+
+/**
+ * Keeps http(s) entries inside the date range, dropping repeated URLs.
+ * Entries without a date are only kept when no range is set.
+ *
+ * @param {Array<Object>} entries - Entries from parseSource
+ * @param {Object} [range]
+ * @param {Date|string|null} [range.from] - Earliest date, inclusive
+ * @param {Date|string|null} [range.to] - Latest date, inclusive (whole day for date-only values)
+ * @returns {Array<Object>}
+ */
+export function filterEntries(entries, { from = null, to = null } = {}) {
+    const start = parseDate(from);
+    const end = parseDate(to);
+    // A date-only upper bound covers the whole day
+    if (end && typeof to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        end.setUTCHours(23, 59, 59, 999);
+    }
+
+    const seen = new Set();
+    return entries.filter(entry => {
+        if (!entry.url || !/^https?:\/\//i.test(entry.url) || seen.has(entry.url)) return false;
+        if (start || end) {
+            if (!entry.date) return false;
+            if (start && entry.date < start) return false;
+            if (end && entry.date > end) return false;
+        }
+        seen.add(entry.url);
+        return true;
+    });
+}
+
+/**
+ * Fetches a sitemap or feed through the same-origin source route
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string>} The document text
+ */
+export async function fetchSource(url, { signal } = {}) {
+    const response = await fetch(`${CONFIG.IMPORT.SOURCE_ENDPOINT}?url=${encodeURIComponent(url)}`, { signal });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Could not fetch ${url} (${response.status})`);
+    }
+    return response.text();
+}
+
+/**
+ * Loads the entries of a sitemap or feed, following the children of a sitemap index
+ *
+ * @param {Object} source
+ * @param {string} [source.url] - Address of the sitemap or feed
+ * @param {string} [source.text] - Document text, e.g. from an uploaded file
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ kind: string, title: string|null, entries: Array<Object> }>}
+ */
+export async function loadSource({ url, text }, { signal } = {}) {
+    const parsed = parseSource(text ?? await fetchSource(url, { signal }), url);
+    if (parsed.kind !== 'sitemapindex') return parsed;
+
+    const entries = [];
+    for (const sitemapUrl of parsed.sitemaps.slice(0, CONFIG.IMPORT.MAX_SITEMAPS)) {
+        try {
+            const child = parseSource(await fetchSource(sitemapUrl, { signal }), sitemapUrl);
+            entries.push(...child.entries);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`⚠️ Skipping sitemap ${sitemapUrl}:`, error.message);
+        }
+        if (entries.length >= CONFIG.IMPORT.MAX_ENTRIES) break;
+    }
+
+    return { kind: 'sitemap', title: null, entries };
+}
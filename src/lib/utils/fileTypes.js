@@ -0,0 +1,237 @@
+// src/lib/utils/fileTypes.js
+
+/**
+ * Registry of every file type the converter accepts.
+ * Validators, the upload accept list, icons and endpoint routing all read from here,
+ * so a new format only has to be added here.
+ */
+
+// File size limits
+export const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB in bytes
+export const MAX_VIDEO_SIZE = 500 * 1024 * 1024; // 500MB in bytes
+export const MAX_CHUNKED_SIZE = 1024 * 1024 * 1024; // 1GB in bytes, uploaded in resumable chunks
+
+const DOCUMENT = { category: 'documents', endpoint: 'FILE', maxSize: MAX_CHUNKED_SIZE, requiresApiKey: false };
+const DATA = { category: 'data', endpoint: 'FILE', maxSize: MAX_FILE_SIZE, requiresApiKey: false };
+// Images are only taken from pasted screenshots; the picker and drop zone do not offer them
+const IMAGE = {
+    category: 'images',
+    endpoint: 'FILE',
+    maxSize: MAX_FILE_SIZE,
+    requiresApiKey: false,
+    pasteOnly: true,
+    icon: { icon: '🖼️', color: '#E2A64A', label: 'Image' }
+};
+const AUDIO = {
+    category: 'audio',
+    endpoint: 'AUDIO',
+    maxSize: MAX_CHUNKED_SIZE,
+    requiresApiKey: true,
+    icon: { icon: '🎵', color: '#9E4AE2', label: 'Audio File' }
+};
+const VIDEO = {
+    category: 'video',
+    endpoint: 'VIDEO',
+    maxSize: MAX_CHUNKED_SIZE,
+    requiresApiKey: true,
+    icon: { icon: '🎥', color: '#E24A4A', label: 'Video File' }
+};
+
+/**
+ * Supported file types keyed by extension.
+ * `endpoint` is a key of CONFIG.API.ENDPOINTS.
+ */
+export const FILE_TYPES = Object.freeze({
+    // Documents
+    pdf: {
+        ...DOCUMENT,
+        mimeTypes: ['application/pdf'],
+        icon: { icon: '📕', color: '#E24A4A', label: 'PDF Document' }
+    },
+    docx: {
+        ...DOCUMENT,
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        icon: { icon: '📘', color: '#4A90E2', label: 'Word Document' }
+    },
+    pptx: {
+        ...DOCUMENT,
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        icon: { icon: '📊', color: '#E24A4A', label: 'PowerPoint Presentation' }
+    },
+    odt: {
+        ...DOCUMENT,
+        mimeTypes: ['application/vnd.oasis.opendocument.text'],
+        icon: { icon: '📘', color: '#4AB5E2', label: 'OpenDocument Text' }
+    },
+    rtf: {
+        ...DOCUMENT,
+        mimeTypes: ['application/rtf', 'text/rtf'],
+        icon: { icon: '📃', color: '#4A90E2', label: 'Rich Text Document' }
+    },
+    epub: {
+        ...DOCUMENT,
+        mimeTypes: ['application/epub+zip'],
+        icon: { icon: '📚', color: '#E2A64A', label: 'EPUB Book' }
+    },
+    txt: {
+        ...DOCUMENT,
+        mimeTypes: ['text/plain'],
+        icon: { icon: '📄', color: '#B8B8B8', label: 'Text File' }
+    },
+    md: {
+        ...DOCUMENT,
+        mimeTypes: ['text/markdown', 'text/x-markdown'],
+        icon: { icon: '📝', color: '#9E4AE2', label: 'Markdown File' }
+    },
+    html: {
+        ...DOCUMENT,
+        mimeTypes: ['text/html', 'application/xhtml+xml'],
+        icon: { icon: '🌐', color: '#E2764A', label: 'HTML Page' }
+    },
+    htm: {
+        ...DOCUMENT,
+        mimeTypes: [],
+        icon: { icon: '🌐', color: '#E2764A', label: 'HTML Page' }
+    },
+
+    // Data
+    csv: {
+        ...DATA,
+        mimeTypes: ['text/csv', 'application/csv'],
+        icon: { icon: '📊', color: '#4AE266', label: 'CSV File' }
+    },
+    xlsx: {
+        ...DATA,
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel'],
+        icon: { icon: '📈', color: '#4AE266', label: 'Excel Spreadsheet' }
+    },
+
+    // Images
+    png: { ...IMAGE, mimeTypes: ['image/png'] },
+    jpg: { ...IMAGE, mimeTypes: ['image/jpeg', 'image/jpg'] },
+    jpeg: { ...IMAGE, mimeTypes: [] },
+    webp: { ...IMAGE, mimeTypes: ['image/webp'] },
+    gif: { ...IMAGE, mimeTypes: ['image/gif'] },
+
+    // Audio
+    mp3: { ...AUDIO, mimeTypes: ['audio/mpeg', 'audio/mp3', 'audio/mpa'] },
+    wav: { ...AUDIO, mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'] },
+    ogg: { ...AUDIO, mimeTypes: ['audio/ogg'] },
+    m4a: { ...AUDIO, mimeTypes: ['audio/x-m4a', 'audio/mp4', 'audio/m4a'] },
+    aac: { ...AUDIO, mimeTypes: ['audio/aac'] },
+    wma: { ...AUDIO, mimeTypes: ['audio/x-ms-wma'] },
+
+    // Video
+    mp4: { ...VIDEO, mimeTypes: ['video/mp4'] },
+    mov: { ...VIDEO, mimeTypes: ['video/quicktime'] },
+    avi: { ...VIDEO, mimeTypes: ['video/x-msvideo', 'video/avi'] },
+    mkv: { ...VIDEO, mimeTypes: ['video/x-matroska'] },
+    webm: { ...VIDEO, mimeTypes: ['video/webm'] }
+});
+
+export const FILE_CATEGORY_NAMES = ['documents', 'data', 'images', 'audio', 'video'];
+
+const MIME_TO_EXTENSION = Object.fromEntries(
+    Object.entries(FILE_TYPES).flatMap(([extension, info]) =>
+        info.mimeTypes.map(mimeType => [mimeType, extension]))
+);
+
+/**
+ * Reads the lowercase extension from a file, file name or bare extension
+ * @param {File|Object|string} file
+ * @returns {string}
+ */
+export function getExtension(file) {
+    const name = typeof file === 'string' ? file : file?.name || '';
+    return name.toLowerCase().split('.').pop().trim();
+}
+
+/**
+ * Looks up a registry entry by extension, file name, File object or MIME type
+ * @param {File|Object|string} input
+ * @returns {Object|null} Entry with its `extension`, or null when unsupported
+ */
+export function getFileTypeInfo(input) {
+    if (!input) return null;
+
+    let extension = getExtension(input);
+    if (!FILE_TYPES[extension]) {
+        const mimeType = (typeof input === 'string' ? input : input.type || '').toLowerCase();
+        extension = MIME_TO_EXTENSION[mimeType];
+    }
+    return extension && FILE_TYPES[extension] ? { extension, ...FILE_TYPES[extension] } : null;
+}
+
+/**
+ * Checks if a file, file name or extension is in the registry
+ * @param {File|Object|string} input
+ * @returns {boolean}
+ */
+export function isSupportedFileType(input) {
+    return getFileTypeInfo(input) !== null;
+}
+
+/**
+ * Gets the category (documents, data, images, audio, video) of a file
+ * @param {File|Object|string} input
+ * @returns {string|null}
+ */
+export function getFileCategory(input) {
+    return getFileTypeInfo(input)?.category || null;
+}
+
+/**
+ * Checks if a file needs an OpenAI API key to be converted
+ * @param {File|Object|string} input
+ * @returns {boolean}
+ */
+export function requiresApiKey(input) {
+    return Boolean(getFileTypeInfo(input)?.requiresApiKey);
+}
+
+/**
+ * Gets the largest accepted size of a file
+ * @param {File|Object|string} input
+ * @returns {number}
+ */
+export function getMaxFileSize(input) {
+    return getFileTypeInfo(input)?.maxSize || MAX_FILE_SIZE;
+}
+
+/**
+ * Checks if a file type is only accepted when pasted
+ * @param {File|Object|string} input
+ * @returns {boolean}
+ */
+export function isPasteOnlyType(input) {
+    return Boolean(getFileTypeInfo(input)?.pasteOnly);
+}
+
+/**
+ * Lists every extension that can be picked or dropped, optionally for one category only.
+ * Paste-only types are left out.
+ * @param {string} [category]
+ * @returns {Array<string>}
+ */
+export function getSupportedExtensions(category) {
+    return Object.entries(FILE_TYPES)
+        .filter(([, info]) => !info.pasteOnly && (!category || info.category === category))
+        .map(([extension]) => extension);
+}
+
+/**
+ * Groups the supported extensions by category
+ * @returns {Object<string, Array<string>>}
+ */
+export function getExtensionsByCategory() {
+    return Object.fromEntries(FILE_CATEGORY_NAMES.map(category => [category, getSupportedExtensions(category)]));
+}
+
+/**
+ * Builds the `accept` attribute of a file input
+ * @param {Array<string>} [extensions] - Defaults to every supported extension
+ * @returns {string}
+ */
+export function getAcceptAttribute(extensions = getSupportedExtensions()) {
+    return extensions.map(extension => `.${extension}`).join(',');
+}
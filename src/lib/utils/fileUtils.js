@@ -1,35 +1,22 @@
 // src/lib/utils/fileUtils.js
 
-// File size limits
-export const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB in bytes
-export const MAX_VIDEO_SIZE = 500 * 1024 * 1024; // 500MB in bytes
+import {
+    getExtension,
+    getFileCategory,
+    getMaxFileSize,
+    getSupportedExtensions,
+    isSupportedFileType,
+    requiresApiKey
+} from './fileTypes.js';
 
-const FILE_CATEGORIES = {
-    documents: ['pdf', 'docx', 'pptx'],
-    audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'wma'],
-    video: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
-    data: ['csv', 'xlsx'],
-    web: ['url', 'parenturl'] // Removed youtube
-};
+// Limits and the API-key check live in the file-type registry
+export { MAX_FILE_SIZE, MAX_VIDEO_SIZE, MAX_CHUNKED_SIZE } from './fileTypes.js';
+export { requiresApiKey };
 
-// Audio and video formats that require API key
-export const API_REQUIRED_TYPES = [
-  // Audio formats
-  'mp3', 'wav', 'ogg', 'm4a', 'mpga',
-  // Video formats 
-  'mp4', 'webm', 'avi', 'mov', 'mpeg'
-];
+const WEB_TYPES = ['url', 'parenturl', 'youtube'];
 
-/**
- * Checks if a file/filetype requires an OpenAI API key for processing
- * @param {File|Object|string} input - The file object, file data, or filetype to check
- * @returns {boolean} - Whether an API key is required
- */
-export function requiresApiKey(file) {
-  if (!file?.name) return false;
-  const extension = file.name.split('.').pop().toLowerCase();
-  return API_REQUIRED_TYPES.includes(extension);
-}
+// Audio and video formats that require API key
+export const API_REQUIRED_TYPES = getSupportedExtensions().filter(extension => requiresApiKey(extension));
 
 /**
  * Gets the type of a file based on its extension or type
@@ -40,29 +27,11 @@ export function getFileType(file) {
     if (!file) return 'unknown';
 
     // Handle web content types
-    if (typeof file === 'object' && file.type) {
-        if (['url', 'parenturl'].includes(file.type)) {
-            return 'web';
-        }
-    }
-
-    const extension = (typeof file === 'string' ? file : file.name || '')
-        .toLowerCase()
-        .split('.')
-        .pop();
-
-    // Direct mapping for audio files
-    if (['mp3', 'wav', 'ogg', 'm4a', 'aac', 'wma'].includes(extension)) {
-        return 'audio';
+    if (typeof file === 'object' && WEB_TYPES.includes(file.type)) {
+        return 'web';
     }
 
-    for (const [category, extensions] of Object.entries(FILE_CATEGORIES)) {
-        if (extensions.includes(extension)) {
-            return category;
-        }
-    }
-
-    return 'unknown';
+    return getFileCategory(getExtension(file)) || 'unknown';
 }
 
 /**
@@ -72,15 +41,7 @@ export function getFileType(file) {
  */
 export function isValidFileType(file) {
   if (!file) return false;
-  
-  const extension = (typeof file === 'string' ? file : file.name || '')
-    .toLowerCase()
-    .split('.')
-    .pop();
-    
-  return Object.values(FILE_CATEGORIES)
-    .flat()
-    .includes(extension);
+  return isSupportedFileType(getExtension(file));
 }
 
 /**
@@ -133,14 +94,14 @@ export function sanitizeFilename(filename) {
 
 /**
  * Validates if a file size is within allowed limits
+ * Each file type sets its own limit; audio, video and documents above MAX_FILE_SIZE are uploaded in chunks
  * @param {File} file - The file to check
  * @returns {Object} - Validation result with valid status and message
  */
 export function validateFileSize(file) {
   if (!file || !file.size) return { valid: false, message: 'Invalid file' };
   
-  const fileType = getFileType(file);
-  const maxSize = fileType === 'video' ? MAX_VIDEO_SIZE : MAX_FILE_SIZE;
+  const maxSize = getMaxFileSize(getExtension(file));
   const isValid = file.size <= maxSize;
   
   return {
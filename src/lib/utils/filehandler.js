@@ -3,35 +3,7 @@
 
 import { files } from '$lib/stores/files.js';
 import { Document, VideoCamera, MusicalNote, Photo, Link } from 'svelte-hero-icons';
-
-/**
- * Constants for file handling
- */
-const VALID_EXTENSIONS = [
-    'txt', 'pdf', 'docx', 'pptx',
-    'csv', 'xlsx',
-    'mp3', 'wav', 'm4a',
-    'mp4', 'webm', 'avi'
-];
-
-const MIME_TYPE_MAPPING = {
-    // Document formats
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-    'application/pdf': 'pdf',
-    
-    // Spreadsheet and presentation formats
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
-    
-    // Audio formats
-    'audio/mpeg': 'mp3',
-    'audio/wav': 'wav',
-    
-    // Video formats
-    'video/mp4': 'mp4',
-    'video/webm': 'webm',
-    'video/x-msvideo': 'avi'
-};
+import { FILE_TYPES, getExtension, getFileTypeInfo } from './fileTypes.js';
 
 /**
  * Generates a unique ID for file tracking
@@ -52,19 +24,19 @@ function getMimeTypeExtension(mimeType, fileName) {
     console.log('Processing MIME type:', mimeType);
     console.log('Original filename:', fileName);
 
-    // Try getting extension from MIME type mapping
-    const mimeExtension = MIME_TYPE_MAPPING[mimeType];
+    // Try getting extension from the registry's MIME types
+    const mimeExtension = mimeType && getFileTypeInfo(mimeType)?.extension;
     if (mimeExtension) {
         console.log('Found MIME type mapping:', mimeExtension);
         return mimeExtension;
     }
 
     // Fallback to file extension from name
-    const fileExtension = fileName.split('.').pop().toLowerCase();
+    const fileExtension = getExtension(fileName);
     console.log('Extracted extension from filename:', fileExtension);
 
     // Validate the extension
-    if (VALID_EXTENSIONS.includes(fileExtension)) {
+    if (FILE_TYPES[fileExtension]) {
         return fileExtension;
     }
 
@@ -163,20 +135,12 @@ export function clearFiles() {
 /**
  * Maps file types to their corresponding icons
  */
-const TYPE_TO_ICON = {
-    'pdf': Document,
-    'docx': Document,
-    'csv': Document,
-    'xlsx': Document,
-    'pptx': Document,
-    'mp3': MusicalNote,
-    'wav': MusicalNote,
-    'ogg': MusicalNote,
-    'mp4': VideoCamera,
-    'mov': VideoCamera,
-    'avi': VideoCamera,
-    'webm': VideoCamera,
-    'url': Link
+const CATEGORY_TO_ICON = {
+    'documents': Document,
+    'data': Document,
+    'images': Photo,
+    'audio': MusicalNote,
+    'video': VideoCamera
 };
 
 /**
@@ -185,7 +149,8 @@ const TYPE_TO_ICON = {
  * @returns {Component} The icon component
  */
 export function getFileIconComponent(type) {
-    return TYPE_TO_ICON[type] || Document;
+    if (type === 'url') return Link;
+    return CATEGORY_TO_ICON[getFileTypeInfo(type)?.category] || Document;
 }
 
 /**
@@ -0,0 +1,91 @@
+// src/lib/utils/folderReader.js
+
+/**
+ * Reads dropped or picked folders into a flat list of files.
+ * Every file keeps its path relative to the dropped folder, so the
+ * converted notes can mirror the source structure.
+ */
+
+/**
+ * Skips hidden files and folders such as .DS_Store or .git
+ * @private
+ */
+function isHidden(name) {
+    return name.startsWith('.');
+}
+
+/**
+ * Reads every entry of a directory; readEntries returns them in chunks
+ * @private
+ */
+async function readAllEntries(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    for (;;) {
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (chunk.length === 0) return entries;
+        entries.push(...chunk);
+    }
+}
+
+/**
+ * Walks a file system entry recursively
+ * @private
+ * @param {FileSystemEntry} entry
+ * @param {Array<{ file: File, path: string }>} found
+ */
+async function walkEntry(entry, found) {
+    if (isHidden(entry.name)) return;
+
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        found.push({ file, path: entry.fullPath.replace(/^\/+/, '') });
+        return;
+    }
+
+    if (entry.isDirectory) {
+        for (const child of await readAllEntries(entry)) {
+            await walkEntry(child, found);
+        }
+    }
+}
+
+/**
+ * Collects the files of a drop, descending into dropped folders.
+ * Browsers without webkitGetAsEntry only get the top-level files.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{ file: File, path: string }>>} Paths are relative, e.g. "notes/2024/report.pdf"
+ */
+export async function readDroppedFiles(dataTransfer) {
+    // Entries have to be taken before the first await, the drop data is cleared afterwards
+    const entries = Array.from(dataTransfer?.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer?.files || []).map(file => ({ file, path: file.name }));
+    }
+
+    const found = [];
+    for (const entry of entries) {
+        try {
+            await walkEntry(entry, found);
+        } catch (error) {
+            console.warn(`📁 Could not read ${entry.fullPath}:`, error);
+        }
+    }
+    return found;
+}
+
+/**
+ * Lists the files picked with a `webkitdirectory` input
+ * @param {FileList|Array<File>} fileList
+ * @returns {Array<{ file: File, path: string }>}
+ */
+export function readPickedFiles(fileList) {
+    return Array.from(fileList || [])
+        .map(file => ({ file, path: file.webkitRelativePath || file.name }))
+        .filter(({ path }) => !path.split('/').some(isHidden));
+}
@@ -0,0 +1,83 @@
+// src/lib/utils/globMatch.js
+
+import { escapeRegExp } from './pathUtils.js';
+
+/**
+ * Turns a glob pattern into a RegExp.
+ * `**` matches across slashes, `*` within one segment and `?` one character.
+ *
+ * @param {string} pattern - e.g. "/docs/**" or "*.pdf"
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    const source = pattern
+        .split(/(\*\*\/?|\*|\?)/)
+        .map(part => {
+            if (part === '**/') return '(?:.*/)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return escapeRegExp(part);
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks a URL against a glob pattern.
+ * Patterns with a scheme are matched against the full URL, others against
+ * the path and query. Patterns without a leading slash match at any depth.
+ *
+ * @param {string} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(url, pattern) {
+    const trimmed = pattern.trim();
+    if (!trimmed) return false;
+
+    if (/^[a-z]+:\/\//i.test(trimmed)) {
+        return globToRegExp(trimmed).test(url);
+    }
+
+    let target;
+    try {
+        const parsed = new URL(url);
+        target = `${parsed.pathname}${parsed.search}`;
+    } catch {
+        target = url;
+    }
+
+    const anchored = trimmed.startsWith('/') ? trimmed : `**/${trimmed}`;
+    return globToRegExp(anchored).test(target) || globToRegExp(anchored).test(target.replace(/\/$/, ''));
+}
+
+/**
+ * Splits a comma or newline separated list of patterns
+ * @param {string|Array<string>} patterns
+ * @returns {Array<string>}
+ */
+export function parsePatterns(patterns) {
+    const list = Array.isArray(patterns) ? patterns : String(patterns || '').split(/[\n,]/);
+    return list.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Keeps the URLs matching any include pattern (all URLs when there are none)
+ * and no exclude pattern
+ *
+ * @param {Array<string>} urls
+ * @param {Object} [patterns]
+ * @param {string|Array<string>} [patterns.include]
+ * @param {string|Array<string>} [patterns.exclude]
+ * @returns {Array<string>}
+ */
+export function filterUrls(urls, { include = [], exclude = [] } = {}) {
+    const includes = parsePatterns(include);
+    const excludes = parsePatterns(exclude);
+
+    return urls.filter(url =>
+        (includes.length === 0 || includes.some(pattern => matchesGlob(url, pattern))) &&
+        !excludes.some(pattern => matchesGlob(url, pattern))
+    );
+}
@@ -0,0 +1,200 @@
+// src/lib/utils/htmlToMarkdown.js
+
+/**
+ * Small HTML to Markdown converter for pasted snippets.
+ * Covers what rich text copied from browsers and editors contains: headings,
+ * emphasis, links, images, lists, quotes, code and tables. Anything else is
+ * reduced to its text. Runs in the browser, as it relies on DOMParser.
+ */
+
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'META', 'LINK', 'HEAD', 'TITLE'];
+const BLOCK_TAGS = [
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV',
+    'FIGURE', 'FIGCAPTION', 'DL', 'DT', 'DD', 'ADDRESS', 'DETAILS', 'SUMMARY'
+];
+
+/**
+ * Escapes characters that would otherwise start Markdown formatting
+ * @private
+ */
+function escapeText(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Resolves a link or image address against the page it was copied from
+ * @private
+ */
+function resolveUrl(href, baseUrl) {
+    if (!href) return '';
+    try {
+        return baseUrl ? new URL(href, baseUrl).href : href;
+    } catch {
+        return href;
+    }
+}
+
+/**
+ * Wraps inline content in a marker, keeping surrounding spaces outside it
+ * @private
+ */
+function wrapInline(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+}
+
+/**
+ * Surrounds a block with blank lines; they are collapsed at the end
+ * @private
+ */
+function block(content) {
+    const trimmed = content.trim();
+    return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+/**
+ * Indents every line after the first, for content nested under a list marker
+ * @private
+ */
+function indentContinuation(content, width) {
+    const padding = ' '.repeat(width);
+    return content.split('\n').map((line, index) => (index === 0 || !line ? line : padding + line)).join('\n');
+}
+
+/**
+ * Turns a table into a GitHub-flavoured Markdown table
+ * @private
+ */
+function convertTable(table, convert) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+        .filter(row => row.closest('table') === table)
+        .map(row => Array.from(row.children)
+            .filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD')
+            .map(cell => convert(cell).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()));
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const pad = cells => [...cells, ...Array(width - cells.length).fill('')];
+    const line = cells => `| ${pad(cells).join(' | ')} |`;
+
+    return block([
+        line(rows[0]),
+        line(Array(width).fill('---')),
+        ...rows.slice(1).map(line)
+    ].join('\n'));
+}
+
+/**
+ * Converts an HTML string to Markdown
+ *
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {'atx'|'setext'} [options.headingStyle] - `# Title` or underlined titles for levels 1 and 2
+ * @param {boolean} [options.includeImages] - Keep images as Markdown images
+ * @param {string} [options.baseUrl] - Page the snippet was copied from, for relative links
+ * @returns {string}
+ */
+export function htmlToMarkdown(html, { headingStyle = 'atx', includeImages = true, baseUrl } = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    const convertChildren = (node, context) =>
+        Array.from(node.childNodes).map(child => convertNode(child, context)).join('');
+
+    function convertList(list, context) {
+        const ordered = list.tagName === 'OL';
+        let number = Number(list.getAttribute('start')) || 1;
+
+        const items = Array.from(list.children).filter(child => child.tagName === 'LI').map(item => {
+            const marker = ordered ? `${number++}. ` : '- ';
+            const content = convertChildren(item, { ...context, inList: true })
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+            return marker + indentContinuation(content, marker.length);
+        });
+
+        const text = items.join('\n');
+        return context.inList ? `\n${text}\n` : block(text);
+    }
+
+    function convertNode(node, context) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (context.pre) return node.textContent;
+            return escapeText(node.textContent.replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.includes(node.tagName)) {
+            return '';
+        }
+
+        const tag = node.tagName;
+        const children = () => convertChildren(node, context);
+
+        if (/^H[1-6]$/.test(tag)) {
+            const level = Number(tag[1]);
+            const text = children().replace(/\s+/g, ' ').trim();
+            if (!text) return '';
+            if (headingStyle === 'setext' && level <= 2) {
+                return block(`${text}\n${(level === 1 ? '=' : '-').repeat(Math.max(3, text.length))}`);
+            }
+            return block(`${'#'.repeat(level)} ${text}`);
+        }
+
+        switch (tag) {
+            case 'BR':
+                return '  \n';
+            case 'HR':
+                return block('---');
+            case 'STRONG':
+            case 'B':
+                return wrapInline(children(), '**');
+            case 'EM':
+            case 'I':
+                return wrapInline(children(), '*');
+            case 'DEL':
+            case 'S':
+            case 'STRIKE':
+                return wrapInline(children(), '~~');
+            case 'CODE': {
+                if (context.pre) return node.textContent;
+                const code = node.textContent;
+                const fence = code.includes('`') ? '``' : '`';
+                return code ? `${fence}${code}${fence}` : '';
+            }
+            case 'PRE': {
+                const language = (node.querySelector('code')?.className || node.className)
+                    .match(/(?:language|lang)-([\w+#-]+)/)?.[1] || '';
+                const code = node.textContent.replace(/\n$/, '');
+                const fence = code.includes('```') ? '~~~' : '```';
+                return block(`${fence}${language}\n${code}\n${fence}`);
+            }
+            case 'A': {
+                const text = children().trim();
+                const href = node.getAttribute('href');
+                if (!href || /^javascript:/i.test(href)) return text;
+                const url = resolveUrl(href, baseUrl);
+                return text ? `[${text}](${url.replace(/ /g, '%20')})` : '';
+            }
+            case 'IMG': {
+                if (!includeImages) return '';
+                const src = resolveUrl(node.getAttribute('src'), baseUrl);
+                const alt = escapeText(node.getAttribute('alt') || '');
+                return src ? `![${alt}](${src.replace(/ /g, '%20')})` : '';
+            }
+            case 'BLOCKQUOTE': {
+                const content = children().replace(/\n{3,}/g, '\n\n').trim();
+                return block(content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+            }
+            case 'UL':
+            case 'OL':
+                return convertList(node, context);
+            case 'TABLE':
+                return convertTable(node, cell => convertChildren(cell, context));
+            default:
+                return BLOCK_TAGS.includes(tag) ? block(children()) : children();
+        }
+    }
+
+    return convertNode(doc.body, { pre: false, inList: false })
+        .replace(/[ \t]+\n/g, match => (match.startsWith('  ') ? '  \n' : '\n'))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
@@ -0,0 +1,376 @@
+// src/lib/utils/markdownRenderer.js
+// Lightweight renderer for previewing Obsidian-flavored Markdown.
+// Supports frontmatter, callouts, wikilinks, embeds and the common CommonMark blocks.
+
+const CALLOUT_ICONS = {
+    note: '✏️',
+    info: 'ℹ️',
+    tip: '💡',
+    hint: '💡',
+    important: '❗',
+    success: '✅',
+    check: '✅',
+    question: '❓',
+    faq: '❓',
+    warning: '⚠️',
+    caution: '⚠️',
+    danger: '⛔',
+    error: '⛔',
+    bug: '🐛',
+    example: '📋',
+    quote: '💬',
+    abstract: '📝',
+    summary: '📝',
+    todo: '☑️'
+};
+
+/**
+ * Escapes text for safe insertion into HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only allow link targets that cannot execute script
+ * @private
+ */
+function safeHref(href) {
+    const trimmed = href.trim();
+    if (/^(https?:|mailto:|#|\/|\.{0,2}\/)/i.test(trimmed) || !/^[a-z][\w+.-]*:/i.test(trimmed)) {
+        return trimmed;
+    }
+    return '#';
+}
+
+/**
+ * Decodes a percent-encoded path, keeping it as written when it holds a stray `%`
+ * @private
+ */
+function decodePath(path) {
+    try {
+        return decodeURI(path);
+    } catch {
+        return path;
+    }
+}
+
+/**
+ * Parses a YAML frontmatter block into a flat object.
+ * Handles scalars, inline arrays and dash lists, which covers what the converter emits.
+ *
+ * @param {string} markdown
+ * @returns {{ frontmatter: Object|null, body: string }}
+ */
+export function parseFrontmatter(markdown) {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { frontmatter: null, body: markdown };
+
+    const frontmatter = {};
+    let currentKey = null;
+
+    match[1].split(/\r?\n/).forEach(line => {
+        const listItem = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+        if (listItem && currentKey) {
+            if (!Array.isArray(frontmatter[currentKey])) frontmatter[currentKey] = [];
+            frontmatter[currentKey].push(unquote(listItem[1]));
+            return;
+        }
+
+        const pair = line.match(/^([\w-][\w\s-]*):\s*(.*)$/);
+        if (!pair) return;
+
+        currentKey = pair[1].trim();
+        const value = pair[2].trim();
+        if (value.startsWith('[') && value.endsWith(']')) {
+            frontmatter[currentKey] = value.slice(1, -1).split(',').map(v => unquote(v.trim())).filter(Boolean);
+        } else {
+            frontmatter[currentKey] = value === '' ? [] : unquote(value);
+        }
+    });
+
+    return { frontmatter, body: markdown.slice(match[0].length) };
+}
+
+function unquote(value) {
+    return value.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Renders inline Markdown (emphasis, code, links, wikilinks, embeds, tags)
+ * @private
+ */
+function renderInline(text, context) {
+    const placeholders = [];
+    const hold = (html) => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    let out = text;
+
+    // Code spans first so their contents are left alone
+    out = out.replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`));
+
+    // Embeds: ![[file.png|alt]] or ![[Note]]
+    out = out.replace(/!\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, target, alias) =>
+        hold(context.renderEmbed(target.trim(), alias?.trim()))
+    );
+
+    // Wikilinks: [[Note#Heading|Alias]]
+    out = out.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, target, alias) => {
+        const [note] = target.split('#');
+        const label = alias || target;
+        const exists = context.noteExists(note.trim());
+        return hold(
+            `<a href="#" class="wikilink${exists ? '' : ' unresolved'}" data-target="${escapeHtml(note.trim())}">${escapeHtml(label.trim())}</a>`
+        );
+    });
+
+    // Markdown images and links
+    out = out.replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, alt, src) =>
+        hold(context.renderImage(src, alt))
+    );
+    out = out.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, label, href) =>
+        hold(`<a href="${escapeHtml(safeHref(href))}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`)
+    );
+
+    out = escapeHtml(out)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*(?!\s)(.+?)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_(?!\s)(.+?)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>')
+        .replace(/==(.+?)==/g, '<mark>$1</mark>')
+        .replace(/(^|\s)#([\p{L}\d_/-]*[\p{L}_/-][\p{L}\d_/-]*)/gu, '$1<span class="tag">#$2</span>');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[Number(index)]);
+}
+
+/**
+ * Renders a list block, nesting by indentation
+ * @private
+ */
+function renderList(lines, context) {
+    const root = { children: [] };
+    const stack = [{ indent: -1, node: root, ordered: false }];
+
+    lines.forEach(line => {
+        const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (!match) {
+            // Continuation line belongs to the previous item
+            const last = stack[stack.length - 1].node.children.slice(-1)[0];
+            if (last) last.text += ` ${line.trim()}`;
+            return;
+        }
+
+        const indent = match[1].replace(/\t/g, '    ').length;
+        const ordered = /\d/.test(match[2]);
+        while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+
+        const parent = stack[stack.length - 1];
+        const item = { text: match[3], ordered, children: [] };
+        parent.node.children.push(item);
+        stack.push({ indent, node: item });
+    });
+
+    const renderItems = (items) => {
+        if (!items.length) return '';
+        const tag = items[0].ordered ? 'ol' : 'ul';
+        const rendered = items.map(item => {
+            const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+            const content = task
+                ? `<input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ${renderInline(task[2], context)}`
+                : renderInline(item.text, context);
+            return `<li${task ? ' class="task"' : ''}>${content}${renderItems(item.children)}</li>`;
+        }).join('');
+        return `<${tag}>${rendered}</${tag}>`;
+    };
+
+    return renderItems(root.children);
+}
+
+/**
+ * Renders a pipe table
+ * @private
+ */
+function renderTable(lines, context) {
+    const splitRow = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+    const [header, , ...rows] = lines;
+    const head = splitRow(header).map(cell => `<th>${renderInline(cell, context)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr>${splitRow(row).map(cell => `<td>${renderInline(cell, context)}</td>`).join('')}</tr>`)
+        .join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Renders a blockquote, turning `> [!type] Title` into an Obsidian callout
+ * @private
+ */
+function renderQuote(lines, context) {
+    const inner = lines.map(line => line.replace(/^\s*>\s?/, ''));
+    const callout = inner[0].match(/^\[!([\w-]+)\]([+-]?)\s*(.*)$/);
+
+    if (!callout) {
+        return `<blockquote>${renderBlocks(inner, context)}</blockquote>`;
+    }
+
+    const type = callout[1].toLowerCase();
+    const title = callout[3] || type.charAt(0).toUpperCase() + type.slice(1);
+    const icon = CALLOUT_ICONS[type] || CALLOUT_ICONS.note;
+    const content = renderBlocks(inner.slice(1), context);
+    const titleHtml = `<span class="callout-icon">${icon}</span><span class="callout-title-text">${renderInline(title, context)}</span>`;
+
+    if (callout[2]) {
+        return `<details class="callout callout-${escapeHtml(type)}"${callout[2] === '+' ? ' open' : ''}>` +
+            `<summary class="callout-title">${titleHtml}</summary><div class="callout-content">${content}</div></details>`;
+    }
+
+    return `<div class="callout callout-${escapeHtml(type)}"><div class="callout-title">${titleHtml}</div>` +
+        `<div class="callout-content">${content}</div></div>`;
+}
+
+/**
+ * Renders a sequence of Markdown lines into block HTML
+ * @private
+ */
+function renderBlocks(lines, context) {
+    const html = [];
+    let i = 0;
+
+    const isListLine = (line) => /^\s*([-*+]|\d+[.)])\s+/.test(line);
+    const isTableDivider = (line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Headings
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2], context)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Blockquotes and callouts
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i]);
+                i++;
+            }
+            html.push(renderQuote(quote, context));
+            continue;
+        }
+
+        // Tables
+        if (line.includes('|') && i + 1 < lines.length && isTableDivider(lines[i + 1])) {
+            const table = [];
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                table.push(lines[i]);
+                i++;
+            }
+            html.push(renderTable(table, context));
+            continue;
+        }
+
+        // Lists
+        if (isListLine(line)) {
+            const list = [];
+            while (i < lines.length && lines[i].trim() && (isListLine(lines[i]) || /^\s+\S/.test(lines[i]))) {
+                list.push(lines[i]);
+                i++;
+            }
+            html.push(renderList(list, context));
+            continue;
+        }
+
+        // Paragraph
+        const paragraph = [];
+        while (
+            i < lines.length &&
+            lines[i].trim() &&
+            !/^\s*(#{1,6}\s|>|```|~~~)/.test(lines[i]) &&
+            !isListLine(lines[i])
+        ) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${paragraph.map(part => renderInline(part, context)).join('<br>')}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+/**
+ * Renders Obsidian-flavored Markdown to HTML
+ *
+ * @param {string} markdown - The note content
+ * @param {Object} [options]
+ * @param {Function} [options.resolveAsset] - Maps an attachment name or path to a displayable URL (or null)
+ * @param {Function} [options.noteExists] - Whether a wikilink target exists in the result
+ * @returns {{ html: string, frontmatter: Object|null }}
+ */
+export function renderMarkdown(markdown, { resolveAsset = () => null, noteExists = () => false } = {}) {
+    const { frontmatter, body } = parseFrontmatter(markdown || '');
+
+    const renderImage = (src, alt = '') => {
+        const url = /^(https?:|data:)/i.test(src) ? src : resolveAsset(decodePath(src));
+        return url
+            ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" loading="lazy">`
+            : `<span class="missing-embed">🖼️ ${escapeHtml(alt || src)}</span>`;
+    };
+
+    const context = {
+        noteExists,
+        renderImage,
+        renderEmbed: (target, alias) => {
+            const [name] = target.split('#');
+            if (/\.(png|jpe?g|gif|webp|svg|bmp)$/i.test(name)) {
+                return renderImage(name, alias || name);
+            }
+            return `<a href="#" class="wikilink embed${noteExists(name) ? '' : ' unresolved'}" data-target="${escapeHtml(name)}">📎 ${escapeHtml(alias || target)}</a>`;
+        }
+    };
+
+    return {
+        frontmatter,
+        html: renderBlocks(body.split(/\r?\n/), context)
+    };
+}
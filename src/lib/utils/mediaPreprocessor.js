@@ -0,0 +1,131 @@
+// src/lib/utils/mediaPreprocessor.js
+
+import { getFileCategory, getMaxFileSize } from './fileTypes.js';
+
+// Speech recognition works on 16 kHz mono, so nothing above that is worth uploading
+export const TARGET_SAMPLE_RATE = 16000;
+
+/**
+ * Checks if the browser can decode media with WebAudio
+ * @returns {boolean}
+ */
+export function isPreprocessingSupported() {
+    return typeof window !== 'undefined' &&
+        typeof (window.OfflineAudioContext || window.webkitOfflineAudioContext) === 'function';
+}
+
+/**
+ * Checks if a file is audio or video that can be pre-processed here
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function canPreprocess(file) {
+    return isPreprocessingSupported() && ['audio', 'video'].includes(getFileCategory(file));
+}
+
+/**
+ * Videos always shrink to their audio track; audio files are only worth
+ * re-encoding when they are over their size limit, since compressed audio
+ * is often smaller than the WAV it would become.
+ *
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function shouldPreprocess(file) {
+    if (!canPreprocess(file)) return false;
+    return getFileCategory(file) === 'video' || file.size > getMaxFileSize(file);
+}
+
+/**
+ * Averages all channels into one
+ * @private
+ */
+function downmix(audioBuffer) {
+    const { numberOfChannels, length } = audioBuffer;
+    if (numberOfChannels === 1) return audioBuffer.getChannelData(0);
+
+    const mono = new Float32Array(length);
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            mono[i] += data[i] / numberOfChannels;
+        }
+    }
+    return mono;
+}
+
+/**
+ * Encodes mono samples as a 16-bit PCM WAV file
+ *
+ * @param {Float32Array} samples - Samples between -1 and 1
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+export function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, value) => {
+        for (let i = 0; i < value.length; i++) view.setUint8(offset + i, value.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);           // fmt chunk size
+    view.setUint16(20, 1, true);            // PCM
+    view.setUint16(22, 1, true);            // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true);            // block align
+    view.setUint16(34, 16, true);           // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Extracts the audio of an audio or video file as 16 kHz mono WAV.
+ * Decoding through an OfflineAudioContext resamples to the context's rate.
+ *
+ * @param {File} file
+ * @returns {Promise<File>} A .wav file named after the original
+ * @throws {Error} If the browser cannot decode the file or it has no audio track
+ */
+export async function extractAudio(file) {
+    const AudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const context = new AudioContextClass(1, 1, TARGET_SAMPLE_RATE);
+
+    let audioBuffer;
+    try {
+        audioBuffer = await context.decodeAudioData(await file.arrayBuffer());
+    } catch (error) {
+        throw new Error(`Could not read the audio of ${file.name}`);
+    }
+
+    const wav = encodeWav(downmix(audioBuffer), TARGET_SAMPLE_RATE);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    return new File([wav], `${baseName}.wav`, { type: 'audio/wav', lastModified: Date.now() });
+}
+
+/**
+ * Shrinks an audio or video file to its audio track when that makes it smaller
+ *
+ * @param {File} file
+ * @returns {Promise<{ file: File, processed: boolean, originalSize: number, processedSize: number }>}
+ */
+export async function preprocessMedia(file) {
+    const processed = await extractAudio(file);
+    console.log(`🎚️ Pre-processed ${file.name}: ${file.size} → ${processed.size} bytes`);
+
+    if (processed.size >= file.size) {
+        return { file, processed: false, originalSize: file.size, processedSize: file.size };
+    }
+    return { file: processed, processed: true, originalSize: file.size, processedSize: processed.size };
+}
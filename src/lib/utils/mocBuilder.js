@@ -0,0 +1,181 @@
+// src/lib/utils/mocBuilder.js
+
+import JSZip from 'jszip';
+import { readResultEntries } from './zipUtils.js';
+import { isZipFile } from './contentSniffer.js';
+import { parseFrontmatter } from './markdownRenderer.js';
+import { toSegments, dirname, joinPath } from './pathUtils.js';
+
+export const MOC_NOTE_NAME = 'Map of Content.md';
+
+// Frontmatter keys that may hold the page's original URL
+const SOURCE_KEYS = ['source', 'url', 'original_url', 'sourceUrl'];
+
+/**
+ * Reads the title and source URL of a crawled page
+ * @private
+ */
+async function describeNote(entry) {
+    const { frontmatter, body } = parseFrontmatter(await entry.getText());
+    const heading = body.match(/^#\s+(.+)$/m)?.[1]?.trim();
+    const source = SOURCE_KEYS.map(key => frontmatter?.[key]).find(value => typeof value === 'string');
+
+    return {
+        path: entry.path,
+        title: frontmatter?.title || heading || entry.basename,
+        source
+    };
+}
+
+/**
+ * Gets the segments a page is filed under: its URL path when known, otherwise its path in the zip
+ * @private
+ */
+function getPageSegments(page, commonRoot) {
+    let segments = null;
+    if (page.source) {
+        try {
+            segments = toSegments(decodeURIComponent(new URL(page.source).pathname));
+        } catch {
+            // Not a usable URL, fall back to the zip path
+        }
+    }
+    if (!segments) {
+        const path = commonRoot ? page.path.slice(commonRoot.length + 1) : page.path;
+        segments = toSegments(path.replace(/\.md$/i, ''));
+    }
+    // An index page stands for its folder
+    if (/^index(\.html?)?$/i.test(segments[segments.length - 1] || '')) segments.pop();
+    return segments;
+}
+
+/**
+ * Builds the wikilink of a page. The file name alone is enough unless another page shares it.
+ * @private
+ */
+function createLinker(pages) {
+    const counts = new Map();
+    pages.forEach(page => {
+        const name = page.path.split('/').pop().toLowerCase();
+        counts.set(name, (counts.get(name) || 0) + 1);
+    });
+
+    return (page) => {
+        const name = page.path.split('/').pop();
+        const target = (counts.get(name.toLowerCase()) > 1 ? page.path : name).replace(/\.md$/i, '');
+        return `[[${target}|${page.title.replace(/[|\]]/g, ' ')}]]`;
+    };
+}
+
+/**
+ * Turns a URL or folder segment into a readable label
+ * @private
+ */
+function formatSegment(segment) {
+    return segment.replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').trim() || segment;
+}
+
+/**
+ * Renders pages nested by their URL path
+ * @private
+ */
+function renderTree(pages, link, commonRoot) {
+    const root = { children: new Map(), pages: [] };
+
+    pages.forEach(page => {
+        let node = root;
+        getPageSegments(page, commonRoot).forEach(segment => {
+            if (!node.children.has(segment)) {
+                node.children.set(segment, { children: new Map(), pages: [] });
+            }
+            node = node.children.get(segment);
+        });
+        node.pages.push(page);
+    });
+
+    const lines = root.pages.map(page => `- ${link(page)}`);
+    const renderNode = (node, depth) => {
+        [...node.children.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([segment, child]) => {
+                const indent = '\t'.repeat(depth);
+                // A page at a folder's own URL stands in for the folder
+                const [own, ...others] = child.pages;
+                lines.push(`${indent}- ${own ? link(own) : formatSegment(segment)}`);
+                others.forEach(page => lines.push(`${indent}- ${link(page)}`));
+                renderNode(child, depth + 1);
+            });
+    };
+    renderNode(root, 0);
+
+    return lines;
+}
+
+/**
+ * Builds the Map-of-Content note for a crawl
+ *
+ * @param {Array<Object>} pages - { path, title, source } for each crawled page
+ * @param {Object} [options]
+ * @param {'tree'|'flat'} [options.layout='tree'] - Nest pages by URL path, or list them alphabetically
+ * @param {string} [options.sourceUrl] - The parent URL that was crawled
+ * @param {string} [options.commonRoot] - Folder wrapping every page in the zip
+ * @returns {string} Markdown content
+ */
+export function buildMocNote(pages, { layout = 'tree', sourceUrl, commonRoot } = {}) {
+    const link = createLinker(pages);
+    const title = sourceUrl ? (() => {
+        try {
+            return new URL(sourceUrl).hostname;
+        } catch {
+            return sourceUrl;
+        }
+    })() : 'Crawled pages';
+
+    const list = layout === 'flat'
+        ? [...pages].sort((a, b) => a.title.localeCompare(b.title)).map(page => `- ${link(page)}`)
+        : renderTree(pages, link, commonRoot);
+
+    return [
+        '---',
+        `created: ${new Date().toISOString()}`,
+        ...(sourceUrl ? [`source: ${sourceUrl}`] : []),
+        'tags: [moc]',
+        '---',
+        '',
+        `# ${title}`,
+        '',
+        `${pages.length} page${pages.length === 1 ? '' : 's'} crawled.`,
+        '',
+        ...list,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Adds a Map-of-Content note to the result of a parent URL crawl.
+ * The note sits next to the crawled pages; results that are not zips are returned unchanged.
+ * Zips are recognised by their signature, since servers do not always label them.
+ *
+ * @param {Blob} blob - The crawl result
+ * @param {Object} [options]
+ * @param {'tree'|'flat'|'none'} [options.layout='tree']
+ * @param {string} [options.sourceUrl] - The parent URL that was crawled
+ * @returns {Promise<Blob>} The result with the note added
+ */
+export async function addMocToResult(blob, { layout = 'tree', sourceUrl } = {}) {
+    if (!blob || layout === 'none' || !(await isZipFile(blob))) return blob;
+
+    const zip = await JSZip.loadAsync(blob);
+    const entries = await readResultEntries(blob, { contentType: 'application/zip' });
+    const notes = entries.filter(entry => entry.kind === 'note');
+    if (notes.length === 0) return blob;
+
+    const roots = new Set(notes.map(note => toSegments(dirname(note.path))[0] || ''));
+    const commonRoot = roots.size === 1 ? [...roots][0] : '';
+
+    const pages = await Promise.all(notes.map(describeNote));
+    zip.file(joinPath(commonRoot, MOC_NOTE_NAME), buildMocNote(pages, { layout, sourceUrl, commonRoot }));
+
+    console.log(`🗺️ Added ${layout} Map of Content for ${pages.length} pages`);
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+}
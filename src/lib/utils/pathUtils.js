@@ -0,0 +1,108 @@
+// src/lib/utils/pathUtils.js
+
+/**
+ * Splits a path into clean segments
+ * @param {string} path
+ * @returns {Array<string>}
+ */
+export function toSegments(path) {
+    return path.split('/').filter(segment => segment && segment !== '.');
+}
+
+/**
+ * Joins path parts, dropping empty and "." segments
+ * @param {...string} parts
+ * @returns {string}
+ */
+export function joinPath(...parts) {
+    return toSegments(parts.filter(Boolean).join('/')).join('/');
+}
+
+/**
+ * Gets the folder part of a path
+ * @param {string} path
+ * @returns {string}
+ */
+export function dirname(path) {
+    return toSegments(path).slice(0, -1).join('/');
+}
+
+/**
+ * Builds a path from `fromDir` to `toPath`, both relative to the same root
+ * @param {string} fromDir
+ * @param {string} toPath
+ * @returns {string}
+ */
+export function relativePath(fromDir, toPath) {
+    const from = toSegments(fromDir);
+    const to = toSegments(toPath);
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+        common++;
+    }
+    return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+}
+
+/**
+ * Escapes a string for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strips characters that are not allowed in file names on common platforms
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeFileName(name) {
+    return name
+        .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 120) || 'Untitled';
+}
+
+/**
+ * Rewrites the links of a note after its attachments moved.
+ * Markdown links point at paths, wikilink embeds resolve by file name.
+ * All moves are applied in one pass, so a link is never rewritten twice
+ * when one attachment takes the old name of another.
+ *
+ * @param {string} content - Note content
+ * @param {Object} options
+ * @param {string} options.noteDir - Folder the note was in
+ * @param {string} options.newNoteDir - Folder the note is written to
+ * @param {Map<string, string>} options.moves - Old attachment path (same root as noteDir)
+ *   to new attachment path (same root as newNoteDir)
+ * @returns {string}
+ */
+export function rewriteAttachmentLinks(content, { noteDir, newNoteDir, moves }) {
+    const links = new Map();
+    const names = new Map();
+    moves.forEach((to, from) => {
+        const oldLink = relativePath(noteDir, from);
+        const newLink = relativePath(newNoteDir, to);
+        const oldName = from.split('/').pop();
+        const newName = to.split('/').pop();
+        if (oldLink === newLink && oldName === newName) return;
+
+        if (!links.has(oldLink)) links.set(oldLink, encodeURI(newLink));
+        if (!links.has(encodeURI(oldLink))) links.set(encodeURI(oldLink), encodeURI(newLink));
+        if (!names.has(oldName)) names.set(oldName, newName);
+    });
+    if (links.size === 0) return content;
+
+    const anyOf = (keys) => [...keys].map(escapeRegExp).join('|');
+    return content
+        .replace(
+            new RegExp(`\\]\\((?:\\./)?(${anyOf(links.keys())})\\)`, 'g'),
+            (match, link) => `](${links.get(link)})`
+        )
+        .replace(
+            new RegExp(`!\\[\\[(${anyOf(names.keys())})(\\|[^\\]]*)?\\]\\]`, 'g'),
+            (match, name, alias = '') => `![[${names.get(name)}${alias}]]`
+        );
+}
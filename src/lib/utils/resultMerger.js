@@ -0,0 +1,208 @@
+// src/lib/utils/resultMerger.js
+
+import JSZip from 'jszip';
+import { CONFIG } from '$lib/config';
+import { readResultEntries } from './zipUtils.js';
+import { joinPath, dirname, toSegments, sanitizeFileName, rewriteAttachmentLinks } from './pathUtils.js';
+
+export const INDEX_NOTE_NAME = 'Index.md';
+
+/**
+ * Hashes a blob so identical attachments can be stored once.
+ * Falls back to FNV-1a where SubtleCrypto is unavailable (non-secure origins).
+ * @private
+ */
+async function hashBlob(blob) {
+    const buffer = await blob.arrayBuffer();
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = 0x811c9dc5;
+    for (const byte of new Uint8Array(buffer)) {
+        hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+    }
+    return `fnv-${hash.toString(16)}-${buffer.byteLength}`;
+}
+
+/**
+ * Returns `name`, or `name 1`, `name 2`… when it is already taken
+ * @private
+ */
+function uniqueName(name, taken) {
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    let candidate = name;
+    for (let counter = 1; taken.has(candidate.toLowerCase()); counter++) {
+        candidate = `${base} ${counter}${ext}`;
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Finds the single top folder every entry sits in, if there is one
+ * @private
+ */
+function findCommonRoot(entries) {
+    const roots = new Set(entries.map(entry => entry.path.includes('/') ? entry.path.split('/')[0] : null));
+    const [root] = roots;
+    return roots.size === 1 && root ? root : null;
+}
+
+/**
+ * Gets the folder an item sat in when it came from a dropped folder
+ * @private
+ */
+function sourceFolder(item) {
+    return toSegments(dirname(item.relativePath || '')).map(sanitizeFileName).join('/');
+}
+
+/**
+ * Finds the member of a batch a note was converted from, by its file or folder name
+ * @private
+ */
+function findMember(members, notePath) {
+    const stem = notePath.split('/')[0].replace(/\.md$/i, '');
+    return members.find(member => member.name.replace(/\.[^/.]+$/, '') === stem);
+}
+
+/**
+ * Picks the note the index links to: the shallowest, then alphabetically first
+ * @private
+ */
+function findMainNote(notes) {
+    return [...notes].sort((a, b) =>
+        a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path)
+    )[0];
+}
+
+/**
+ * Builds the index note linking every converted item
+ * @private
+ */
+function buildIndexNote(sections) {
+    const lines = [
+        '---',
+        `created: ${new Date().toISOString()}`,
+        'tags: [conversion-index]',
+        '---',
+        '',
+        '# Converted items',
+        ''
+    ];
+
+    sections.forEach(({ title, mainNote, noteCount, source }) => {
+        const link = mainNote
+            ? `[[${mainNote.replace(/\.md$/i, '')}|${title}]]`
+            : title;
+        const details = [
+            noteCount > 1 ? `${noteCount} notes` : null,
+            source && /^https?:\/\//i.test(source) ? source : null
+        ].filter(Boolean);
+        lines.push(`- ${link}${details.length ? ` — ${details.join(', ')}` : ''}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Merges the results of several jobs into one vault zip.
+ *
+ * Layout: an item whose result is a single note is placed at the root,
+ * larger results get a folder named after the item. Files from a dropped
+ * folder are placed in the same folders they had there. Attachments of every
+ * item share one attachment folder and identical files are stored once.
+ * Notes of different items that land on the same path get a numbered name.
+ * An index note at the root links to the main note of each item.
+ *
+ * @param {Array<Object>} results - { item, blob, contentType } for each finished job
+ * @param {Object} [options]
+ * @param {string} [options.attachmentFolder] - Shared attachment folder
+ * @returns {Promise<Blob>} The merged zip
+ */
+export async function mergeResults(results, {
+    attachmentFolder = CONFIG.CONVERSION.DEFAULT_OPTIONS.attachmentFolder
+} = {}) {
+    const zip = new JSZip();
+    const attachmentDir = joinPath(attachmentFolder) || 'attachments';
+    const rootNames = new Set([INDEX_NOTE_NAME.toLowerCase(), attachmentDir.toLowerCase()]);
+    const namesByFolder = new Map([['', rootNames]]);
+    const namesIn = (folder) => {
+        const key = folder.toLowerCase();
+        if (!namesByFolder.has(key)) namesByFolder.set(key, new Set());
+        return namesByFolder.get(key);
+    };
+    const attachmentNames = new Set();
+    const attachmentsByHash = new Map();
+    const sections = [];
+
+    for (const { item, blob, contentType } of results) {
+        const title = item.name || 'Untitled';
+        const entries = await readResultEntries(blob, { contentType, name: title });
+        const notes = entries.filter(entry => entry.kind === 'note');
+        const attachments = entries.filter(entry => entry.kind === 'attachment');
+
+        // The item gets its own folder, so a folder wrapping the whole result is dropped
+        const commonRoot = findCommonRoot(entries);
+        const localPath = (path) => commonRoot ? path.slice(commonRoot.length + 1) : path;
+
+        // Batch members from dropped folders are put back in their own folders
+        const members = item.members || [item];
+        const mirrored = members.length > 1 && members.some(member => member.relativePath);
+        const baseDir = members.length === 1 ? sourceFolder(members[0]) : '';
+
+        // Single notes sit at the root, everything else gets its own folder
+        const isSingleNote = notes.length === 1 && attachments.length === 0 && !localPath(notes[0].path).includes('/');
+        const folder = isSingleNote
+            ? baseDir
+            : joinPath(baseDir, uniqueName(sanitizeFileName(title.replace(/\.[^/.]+$/, '')), namesIn(baseDir)));
+
+        // Place attachments first so notes can be pointed at their new paths
+        const moved = new Map();
+        for (const attachment of attachments) {
+            const data = await attachment.getBlob();
+            const hash = await hashBlob(data);
+            let target = attachmentsByHash.get(hash);
+            if (!target) {
+                target = joinPath(attachmentDir, uniqueName(attachment.name, attachmentNames));
+                attachmentsByHash.set(hash, target);
+                zip.file(target, data);
+            }
+            moved.set(attachment.path, target);
+        }
+
+        const placedNotes = [];
+        for (const note of notes) {
+            const path = localPath(note.path);
+            const member = mirrored && findMember(members, path);
+            const noteDir = isSingleNote ? folder : joinPath(member ? sourceFolder(member) : folder, dirname(path));
+            const fileName = isSingleNote ? sanitizeFileName(note.name) : path.split('/').pop();
+            // Notes of different results can land on the same path; the later one is renamed
+            const target = joinPath(noteDir, uniqueName(fileName, namesIn(noteDir)));
+
+            const content = rewriteAttachmentLinks(await note.getText(), {
+                noteDir: dirname(note.path),
+                newNoteDir: dirname(target),
+                moves: moved
+            });
+
+            zip.file(target, content);
+            placedNotes.push({ ...note, path: target });
+        }
+
+        sections.push({
+            title,
+            mainNote: findMainNote(placedNotes)?.path,
+            noteCount: placedNotes.length,
+            source: item.url
+        });
+    }
+
+    zip.file(INDEX_NOTE_NAME, buildIndexNote(sections));
+
+    console.log(`🗂️ Merged ${results.length} results into one zip (${attachmentsByHash.size} unique attachments)`);
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+}
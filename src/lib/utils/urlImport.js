@@ -0,0 +1,237 @@
+// src/lib/utils/urlImport.js
+
+import { couldBeValidUrl, canonicalizeUrl } from './urlUtils.js';
+
+export const IMPORT_FORMATS = ['list', 'csv', 'bookmarks'];
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guesses the format of pasted or uploaded text
+ * @param {string} text
+ * @returns {'list'|'csv'|'bookmarks'}
+ */
+export function detectFormat(text) {
+    if (/<!DOCTYPE NETSCAPE-Bookmark-file/i.test(text) || /<dt>\s*<a\s/i.test(text)) {
+        return 'bookmarks';
+    }
+
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const delimiter = detectDelimiter(lines.slice(0, 20));
+    if (delimiter && !lines.every(couldBeValidUrl)) {
+        return 'csv';
+    }
+    return 'list';
+}
+
+/**
+ * Picks the delimiter found on the first line and on most sampled lines, if any.
+ * Quoted fields can span lines, so not every line has to contain it.
+ * @private
+ */
+function detectDelimiter(lines) {
+    if (lines.length === 0) return null;
+    return CSV_DELIMITERS.find(delimiter => lines[0].includes(delimiter) &&
+        lines.filter(line => line.includes(delimiter)).length >= lines.length / 2) || null;
+}
+
+/**
+ * Validates one candidate URL
+ * @private
+ */
+function toEntry(value, line, extra = {}) {
+    const trimmed = value.trim();
+    if (!couldBeValidUrl(trimmed)) {
+        return { invalid: { line, value: trimmed, reason: 'Not a valid URL' } };
+    }
+    try {
+        return { entry: { url: canonicalizeUrl(trimmed), line, ...extra } };
+    } catch (error) {
+        return { invalid: { line, value: trimmed, reason: error.message } };
+    }
+}
+
+/**
+ * Splits results into valid entries and invalid lines
+ * @private
+ */
+function collect(results) {
+    return {
+        entries: results.filter(result => result.entry).map(result => result.entry),
+        invalid: results.filter(result => result.invalid).map(result => result.invalid)
+    };
+}
+
+/**
+ * Parses newline-separated URLs. Blank lines and lines starting with # are skipped.
+ * @param {string} text
+ * @returns {{ entries: Array<Object>, invalid: Array<Object> }}
+ */
+export function parseUrlList(text) {
+    return collect(text.split(/\r?\n/)
+        .map((value, index) => ({ value: value.trim(), line: index + 1 }))
+        .filter(({ value }) => value && !value.startsWith('#'))
+        .map(({ value, line }) => toEntry(value, line)));
+}
+
+/**
+ * Splits CSV text into rows, honouring quoted fields
+ * @param {string} text
+ * @param {string} [delimiter] - Detected when omitted
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsvRows(text, delimiter = detectDelimiter(text.split(/\r?\n/).filter(Boolean).slice(0, 20)) || ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Lists the columns of CSV text and picks the one most likely holding URLs
+ * @param {string} text
+ * @returns {{ columns: Array<{ index: number, name: string }>, hasHeader: boolean, urlColumn: number }}
+ */
+export function getCsvColumns(text) {
+    const rows = parseCsvRows(text);
+    const [first = []] = rows;
+    // A first row without any URL is taken as the header
+    const hasHeader = rows.length > 1 && !first.some(cell => couldBeValidUrl(cell));
+    const body = hasHeader ? rows.slice(1) : rows;
+    const width = Math.max(0, ...rows.map(cells => cells.length));
+
+    const columns = Array.from({ length: width }, (_, index) => ({
+        index,
+        name: (hasHeader && first[index]?.trim()) || `Column ${index + 1}`,
+        urlCount: body.filter(cells => couldBeValidUrl(cells[index] || '')).length
+    }));
+    const urlColumn = columns.reduce((best, column) => column.urlCount > best.urlCount ? column : best,
+        columns[0] || { index: 0, urlCount: 0 }).index;
+
+    return { columns: columns.map(({ index, name }) => ({ index, name })), hasHeader, urlColumn };
+}
+
+/**
+ * Reads the URLs of one CSV column. A "title" or "name" column, when present, names the items.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.column] - Column index, detected when omitted
+ * @returns {{ entries: Array<Object>, invalid: Array<Object> }}
+ */
+export function parseCsvUrls(text, { column } = {}) {
+    const rows = parseCsvRows(text);
+    const { columns, hasHeader, urlColumn } = getCsvColumns(text);
+    const index = column ?? urlColumn;
+    const titleColumn = hasHeader
+        ? columns.find(candidate => /^(title|name)$/i.test(candidate.name) && candidate.index !== index)?.index
+        : undefined;
+
+    return collect((hasHeader ? rows.slice(1) : rows)
+        .map((cells, rowIndex) => ({ cells, line: rowIndex + (hasHeader ? 2 : 1) }))
+        .filter(({ cells }) => (cells[index] || '').trim())
+        .map(({ cells, line }) => toEntry(cells[index], line,
+            titleColumn !== undefined && cells[titleColumn]?.trim() ? { title: cells[titleColumn].trim() } : {})));
+}
+
+/**
+ * Turns a bookmark folder name into an Obsidian tag
+ * @private
+ */
+function toTag(name) {
+    return name.trim()
+        .replace(/\s+/g, '-')
+        .replace(/[^\p{L}\p{N}_\-/]/gu, '')
+        .replace(/^\d+$/, '');
+}
+
+/**
+ * Gets the folder a bookmark list belongs to.
+ * Browsers write `<DT><H3>Folder</H3><DL>…</DL>`, with the list either next to or inside the DT.
+ * @private
+ */
+function folderName(list) {
+    const previous = list.previousElementSibling;
+    if (previous?.tagName === 'H3') return previous.textContent;
+    const heading = list.parentElement?.tagName === 'DT'
+        ? Array.from(list.parentElement.children).find(child => child.tagName === 'H3')
+        : null;
+    return heading?.textContent || null;
+}
+
+/**
+ * Parses a Netscape bookmarks export, as written by every major browser.
+ * Folder names become tags, outermost first.
+ *
+ * @param {string} html
+ * @returns {{ entries: Array<Object>, invalid: Array<Object> }}
+ */
+export function parseBookmarksHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    return collect(Array.from(doc.querySelectorAll('a[href]')).map((link, index) => {
+        const tags = [];
+        for (let node = link.parentElement; node; node = node.parentElement) {
+            if (node.tagName !== 'DL') continue;
+            const folder = folderName(node);
+            const tag = folder && toTag(folder);
+            if (tag) tags.unshift(tag);
+        }
+
+        const title = link.textContent.trim();
+        return toEntry(link.getAttribute('href'), index + 1, {
+            ...(title && { title }),
+            ...(tags.length && { tags })
+        });
+    }));
+}
+
+/**
+ * Parses text in any supported import format
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'list'|'csv'|'bookmarks'} [options.format] - Detected when omitted
+ * @param {number} [options.column] - CSV column holding the URLs
+ * @returns {{ format: string, entries: Array<Object>, invalid: Array<Object> }}
+ */
+export function parseUrlImport(text, { format = detectFormat(text), column } = {}) {
+    const parsers = {
+        list: () => parseUrlList(text),
+        csv: () => parseCsvUrls(text, { column }),
+        bookmarks: () => parseBookmarksHtml(text)
+    };
+    return { format, ...(parsers[format] || parsers.list)() };
+}
@@ -0,0 +1,122 @@
+// src/lib/utils/urlUtils.js
+
+import { parseYoutubeUrl } from './youtubeUtils.js';
+
+/**
+ * Loosely checks whether input looks like a web address, with or without scheme
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function couldBeValidUrl(input) {
+    try {
+        const trimmed = input.trim();
+        return /^(https?:\/\/)?([\w-]+(\.[\w-]+)+|localhost)(:\d+)?(\/\S*)?$/.test(trimmed);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Turns user input into an absolute http(s) URL, adding https:// when no scheme is given
+ * @param {string} input
+ * @returns {string}
+ * @throws {Error} When the input is empty or not a URL
+ */
+export function normalizeUrl(input) {
+    if (!input) throw new Error('URL is required');
+
+    let url = input.trim().replace(/\s+/g, '');
+
+    if (!/^https?:\/\//i.test(url)) {
+        url = `https://${url}`;
+    }
+
+    try {
+        new URL(url);
+        return url;
+    } catch (error) {
+        throw new Error('Invalid URL format');
+    }
+}
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = ['fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi'];
+const TRACKING_PREFIXES = ['utm_'];
+
+/**
+ * Checks if a query parameter is a known tracking parameter
+ * @private
+ */
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.includes(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Canonicalizes a URL without changing what it points to.
+ * Only the scheme and host are lowercased; path, query and fragment keep their case,
+ * since paths on GitHub, Confluence or S3 and signed query strings are case-sensitive.
+ * Tracking parameters such as utm_* and fbclid are removed.
+ *
+ * @param {string} input - URL, with or without scheme
+ * @returns {string}
+ * @throws {Error} When the input is empty or not a URL
+ */
+export function canonicalizeUrl(input) {
+    // The URL parser lowercases scheme and host and drops default ports
+    const url = new URL(normalizeUrl(input));
+
+    // Pairs are filtered as written, so the encoding of signed query strings is kept
+    const pairs = url.search.slice(1).split('&').filter(Boolean);
+    const kept = pairs.filter(pair => !isTrackingParam(pair.split('=')[0]));
+    if (kept.length !== pairs.length) {
+        url.search = kept.length > 0 ? `?${kept.join('&')}` : '';
+    }
+
+    return url.href;
+}
+
+/**
+ * Builds a key under which different spellings of the same page compare equal.
+ * On top of canonicalization it ignores the fragment, a trailing slash and the
+ * order of query parameters.
+ *
+ * @param {string} input - URL, with or without scheme
+ * @returns {string}
+ * @throws {Error} When the input is empty or not a URL
+ */
+export function getUrlDedupeKey(input) {
+    const url = new URL(canonicalizeUrl(input));
+    url.hash = '';
+    url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+    url.searchParams.sort();
+    return url.href;
+}
+
+/**
+ * Builds the display name used for URL items
+ * @param {string} url - Absolute URL
+ * @returns {string}
+ */
+export function getUrlName(url) {
+    const urlObj = new URL(url);
+    return `${urlObj.hostname}${urlObj.pathname}`;
+}
+
+/**
+ * Builds the files store item for a link; YouTube videos get their own type
+ * @param {string} url - Absolute URL
+ * @param {Object} [options]
+ * @param {string} [options.name] - Display name, defaults to one derived from the URL
+ * @returns {Object}
+ */
+export function createUrlItem(url, { name } = {}) {
+    const normalizedUrl = canonicalizeUrl(url);
+    const videoId = parseYoutubeUrl(normalizedUrl)?.videoId;
+    return {
+        url: normalizedUrl,
+        name: name || (videoId ? `YouTube video ${videoId}` : getUrlName(normalizedUrl)),
+        type: videoId ? 'youtube' : 'url',
+        options: {}
+    };
+}
@@ -0,0 +1,75 @@
+// src/lib/utils/youtubeUtils.js
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const VIDEO_ID = /^[\w-]{11}$/;
+const PLAYLIST_ID = /^[\w-]{10,}$/;
+
+/**
+ * Reads the video and playlist IDs from a YouTube URL.
+ * Handles watch, youtu.be, shorts, embed and live links as well as playlist pages.
+ *
+ * @param {string} input - URL, with or without scheme
+ * @returns {{ videoId: string|null, playlistId: string|null }|null} Null when it is not a YouTube URL
+ */
+export function parseYoutubeUrl(input) {
+    if (!input) return null;
+
+    let url;
+    try {
+        const trimmed = input.trim();
+        url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const segments = url.pathname.split('/').filter(Boolean);
+    let videoId = null;
+
+    if (host === 'youtu.be') {
+        videoId = segments[0];
+    } else if (YOUTUBE_HOSTS.includes(host)) {
+        if (segments[0] === 'watch') {
+            videoId = url.searchParams.get('v');
+        } else if (['shorts', 'embed', 'live', 'v'].includes(segments[0])) {
+            videoId = segments[1];
+        }
+    } else {
+        return null;
+    }
+
+    const playlistId = url.searchParams.get('list');
+    const result = {
+        videoId: VIDEO_ID.test(videoId || '') ? videoId : null,
+        playlistId: PLAYLIST_ID.test(playlistId || '') ? playlistId : null
+    };
+    return result.videoId || result.playlistId ? result : null;
+}
+
+/**
+ * Checks if input is a YouTube video or playlist URL
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function isYoutubeUrl(input) {
+    return parseYoutubeUrl(input) !== null;
+}
+
+/**
+ * Checks if input points to a whole playlist rather than one of its videos
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function isPlaylistUrl(input) {
+    const parsed = parseYoutubeUrl(input);
+    return Boolean(parsed?.playlistId && !parsed.videoId);
+}
+
+/**
+ * Builds the canonical watch URL of a video
+ * @param {string} videoId
+ * @returns {string}
+ */
+export function getVideoUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+}
@@ -0,0 +1,123 @@
+// src/lib/utils/zipUtils.js
+
+import JSZip from 'jszip';
+
+const NOTE_EXTENSIONS = ['md', 'markdown'];
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp'];
+
+/**
+ * Gets the lowercase extension of a path
+ * @param {string} path
+ * @returns {string}
+ */
+export function getExtension(path) {
+    const name = path.split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+/**
+ * Checks if a path points to a Markdown note
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isNotePath(path) {
+    return NOTE_EXTENSIONS.includes(getExtension(path));
+}
+
+/**
+ * Checks if a path points to an image attachment
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isImagePath(path) {
+    return IMAGE_EXTENSIONS.includes(getExtension(path));
+}
+
+/**
+ * Creates a normalized entry describing one file of a conversion result
+ * @private
+ */
+function createEntry(path, { size = 0, getText, getBlob }) {
+    const name = path.split('/').pop();
+    return {
+        path,
+        name,
+        basename: name.replace(/\.[^/.]+$/, ''),
+        size,
+        kind: isNotePath(path) ? 'note' : 'attachment',
+        getText,
+        getBlob
+    };
+}
+
+/**
+ * Reads the files of a conversion result.
+ * Zip results are unpacked; single Markdown results become a one-entry list.
+ *
+ * @param {Blob} blob - The conversion result
+ * @param {Object} [info]
+ * @param {string} [info.contentType] - MIME type of the result
+ * @param {string} [info.name] - Name of the converted item, used for single notes
+ * @returns {Promise<Array<Object>>} Entries with path, name, kind and lazy content accessors
+ */
+export async function readResultEntries(blob, { contentType = blob?.type, name = 'note' } = {}) {
+    if (!blob) return [];
+
+    if (contentType?.includes('text/markdown') || contentType?.includes('text/plain')) {
+        const path = `${name.replace(/\.[^/.]+$/, '')}.md`;
+        return [createEntry(path, {
+            size: blob.size,
+            getText: () => blob.text(),
+            getBlob: async () => blob
+        })];
+    }
+
+    const zip = await JSZip.loadAsync(blob);
+    const entries = [];
+
+    zip.forEach((path, file) => {
+        // Skip folders and OS metadata
+        if (file.dir || path.startsWith('__MACOSX/') || path.split('/').pop().startsWith('.')) return;
+
+        entries.push(createEntry(path, {
+            size: file._data?.uncompressedSize || 0,
+            getText: () => file.async('string'),
+            getBlob: () => file.async('blob')
+        }));
+    });
+
+    return entries.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Builds a nested folder tree from flat result entries
+ * @param {Array<Object>} entries - Entries from readResultEntries
+ * @returns {Object} Root folder node ({ name, path, folders, files })
+ */
+export function buildFileTree(entries) {
+    const root = { name: '', path: '', folders: [], files: [] };
+
+    entries.forEach(entry => {
+        const segments = entry.path.split('/');
+        segments.pop();
+
+        let node = root;
+        segments.forEach(segment => {
+            let child = node.folders.find(folder => folder.name === segment);
+            if (!child) {
+                child = {
+                    name: segment,
+                    path: node.path ? `${node.path}/${segment}` : segment,
+                    folders: [],
+                    files: []
+                };
+                node.folders.push(child);
+            }
+            node = child;
+        });
+
+        node.files.push(entry);
+    });
+
+    return root;
+}
@@ -0,0 +1,201 @@
+// src/routes/api/fetch-source/+server.js
+
+import { json } from '@sveltejs/kit';
+import { lookup } from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+import { Agent, fetch } from 'undici';
+import { CONFIG } from '$lib/config';
+
+const { MAX_SOURCE_SIZE, FETCH_TIMEOUT } = CONFIG.IMPORT;
+
+const MAX_REDIRECTS = 5;
+
+// Addresses on the server's own network are never fetched.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 rules.
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Root elements of the documents the import tab understands
+const SOURCE_ROOT = /^<(?:[\w-]+:)?(rss|RDF|feed|urlset|sitemapindex)[\s>/]/;
+
+const PRIVATE_ADDRESS_CODE = 'EPRIVATEADDRESS';
+
+class SourceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function isPrivateAddress(address) {
+  const family = isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for outgoing connections that fails when a name resolves to a private address.
+ * The connection is made to the address checked here, so a name that resolves
+ * differently on a second lookup (DNS rebinding) cannot reach the private network.
+ * @private
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: PRIVATE_ADDRESS_CODE }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Every request of this route, including each redirect hop, connects through here
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Rejects URLs that are not http(s) or whose host is a private IP literal.
+ * Host names are checked when the connection resolves them, in publicLookup.
+ * @private
+ */
+function assertPublicUrl(sourceUrl) {
+  if (!['http:', 'https:'].includes(sourceUrl.protocol)) {
+    throw new SourceError('This source URL is not allowed', 400);
+  }
+
+  // URL already normalizes decimal, octal and bracketed forms of IP literals
+  const hostname = sourceUrl.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new SourceError('This source URL is not allowed', 400);
+  }
+}
+
+/**
+ * Fetches a URL without following redirects automatically, so every hop is validated.
+ * Uses undici's fetch with the checking agent: SvelteKit's would route requests
+ * for the app's own origin internally.
+ * @private
+ */
+async function fetchPublic(sourceUrl, signal) {
+  let current = sourceUrl;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicUrl(current);
+
+    let response;
+    try {
+      response = await fetch(current.href, {
+        signal,
+        redirect: 'manual',
+        dispatcher: publicAgent,
+        headers: { 'Accept': 'application/xml, application/rss+xml, application/atom+xml, text/xml;q=0.9, */*;q=0.5' }
+      });
+    } catch (error) {
+      if (error.cause?.code === PRIVATE_ADDRESS_CODE) {
+        throw new SourceError('This source URL is not allowed', 400);
+      }
+      if (error.cause?.code === 'ENOTFOUND') {
+        throw new SourceError('Could not resolve the source host', 502);
+      }
+      throw error;
+    }
+
+    const location = response.headers.get('Location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    try {
+      current = new URL(location, current);
+    } catch {
+      throw new SourceError('Source redirected to an invalid URL', 502);
+    }
+  }
+  throw new SourceError('Source redirected too many times', 502);
+}
+
+/**
+ * Checks that the text is an RSS, Atom, sitemap or sitemap index document
+ * @private
+ */
+function isSourceDocument(text) {
+  const body = text
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?[^>]*>/gi, '')
+    .trimStart();
+  return SOURCE_ROOT.test(body);
+}
+
+/**
+ * Fetches a sitemap or feed for the import tab.
+ * Most sites do not send CORS headers for these, so the browser cannot read them directly.
+ * Only public addresses are fetched, and only XML sources are passed back, always as XML.
+ */
+export async function GET({ url }) {
+  const target = url.searchParams.get('url');
+
+  let sourceUrl;
+  try {
+    sourceUrl = new URL(target);
+  } catch {
+    return json({ error: 'A valid source URL is required' }, { status: 400 });
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    const response = await fetchPublic(sourceUrl, controller.signal);
+
+    if (!response.ok) {
+      return json({ error: `Source responded with ${response.status}` }, { status: 502 });
+    }
+
+    if (Number(response.headers.get('Content-Length')) > MAX_SOURCE_SIZE) {
+      return json({ error: 'Source is too large' }, { status: 413 });
+    }
+
+    // Content-Length can be missing, so count while reading
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > MAX_SOURCE_SIZE) {
+        await reader.cancel();
+        return json({ error: 'Source is too large' }, { status: 413 });
+      }
+      chunks.push(value);
+    }
+
+    const text = await new Blob(chunks).text();
+    if (!isSourceDocument(text)) {
+      return json({ error: 'Not a sitemap, RSS or Atom feed' }, { status: 422 });
+    }
+
+    return new Response(text, {
+      headers: {
+        'Content-Type': 'application/xml; charset=utf-8',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'",
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    if (error instanceof SourceError) {
+      return json({ error: error.message }, { status: error.status });
+    }
+    const message = error.name === 'AbortError' ? 'Source took too long to respond' : 'Could not reach the source';
+    console.error('❌ Failed to fetch source:', sourceUrl.href, error);
+    return json({ error: message }, { status: 502 });
+  } finally {
+    clearTimeout(timeout);
+  }
+}